@@ -0,0 +1,42 @@
+/* eslint-disable no-restricted-globals */
+// Shows Web Push notifications for new posts and opens the post when one is clicked
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { body: event.data && event.data.text() };
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(data.title || "Jaswanth's Blog", {
+            body: data.body || 'A new post was published',
+            icon: '/logo192.png',
+            badge: '/logo192.png',
+            tag: data.tag,
+            data: { url: data.url || '/' }
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    // Reuse an open tab of the blog if there is one. navigate() only works on tabs this worker
+    // controls and rejects for the rest, so fall back to a new window
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const existing = windows.find((client) => client.url.startsWith(self.location.origin));
+            if (!existing) return self.clients.openWindow(url);
+            return existing.navigate(url)
+                .then((client) => (client || existing).focus())
+                .catch(() => self.clients.openWindow(url));
+        })
+    );
+});
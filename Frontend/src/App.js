@@ -4,6 +4,82 @@ import './App.css';
 
 // --- API Configuration ---
 const API_BASE_URL = 'https://jaswanths-blog-2.onrender.com'; // THIS LINE HAS BEEN UPDATED
+const AUTH_STORAGE_KEY = 'auth';
+
+// --- Session Storage ---
+const getStoredAuth = () => {
+    try {
+        const item = window.localStorage.getItem(AUTH_STORAGE_KEY);
+        return item ? JSON.parse(item) : null;
+    } catch (error) {
+        console.warn('Error reading stored session:', error);
+        return null;
+    }
+};
+
+const setStoredAuth = (auth) => {
+    try {
+        if (auth) {
+            window.localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(auth));
+        } else {
+            window.localStorage.removeItem(AUTH_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn('Error saving session:', error);
+    }
+    window.dispatchEvent(new CustomEvent('auth:changed', { detail: auth }));
+};
+
+// --- Permissions (mirrors ROLE_PERMISSIONS on the server) ---
+const can = (user, permission) => !!user?.permissions?.includes(permission);
+
+const canModifyPost = (user, post, action) => {
+    if (can(user, `post:${action}:any`)) return true;
+    const authorId = post.author?._id || post.author;
+    return can(user, `post:${action}:own`) && !!authorId && authorId === user.id;
+};
+
+// --- Shared API Client ---
+const api = axios.create({ baseURL: API_BASE_URL });
+
+api.interceptors.request.use(config => {
+    const auth = getStoredAuth();
+    if (auth?.accessToken) {
+        config.headers.Authorization = `Bearer ${auth.accessToken}`;
+    }
+    return config;
+});
+
+// Refresh the access token once on 401 and replay the original request
+let refreshPromise = null;
+
+api.interceptors.response.use(
+    response => response,
+    async (error) => {
+        const original = error.config;
+        const auth = getStoredAuth();
+        
+        if (error.response?.status !== 401 || !auth?.refreshToken || original._retried) {
+            return Promise.reject(error);
+        }
+        
+        original._retried = true;
+        try {
+            refreshPromise = refreshPromise || axios.post(`${API_BASE_URL}/api/auth/refresh`, {
+                refreshToken: auth.refreshToken
+            });
+            const response = await refreshPromise;
+            const { user, accessToken, refreshToken } = response.data.data;
+            setStoredAuth({ user, accessToken, refreshToken });
+            return api(original);
+        } catch (refreshError) {
+            setStoredAuth(null);
+            return Promise.reject(error);
+        } finally {
+            refreshPromise = null;
+        }
+    }
+);
 
 // --- Reusable Hooks ---
 const useToasts = () => {
@@ -43,6 +119,58 @@ const useLocalStorage = (key, defaultValue) => {
     return [value, setStoredValue];
 };
 
+const useDebouncedValue = (value, delay) => {
+    const [debounced, setDebounced] = useState(value);
+    
+    useEffect(() => {
+        const timer = setTimeout(() => setDebounced(value), delay);
+        return () => clearTimeout(timer);
+    }, [value, delay]);
+    
+    return debounced;
+};
+
+const useAuth = () => {
+    const [auth, setAuth] = useState(getStoredAuth);
+    
+    useEffect(() => {
+        const handleChange = (e) => setAuth(e.detail);
+        window.addEventListener('auth:changed', handleChange);
+        return () => window.removeEventListener('auth:changed', handleChange);
+    }, []);
+    
+    // Pick up role changes made since the session was stored
+    const hasSession = !!auth;
+    useEffect(() => {
+        if (!hasSession) return;
+        api.get('/api/auth/me')
+            .then(response => {
+                const current = getStoredAuth();
+                if (current) setStoredAuth({ ...current, user: response.data.data });
+            })
+            .catch(error => console.warn('Could not refresh profile:', error));
+    }, [hasSession]);
+    
+    const login = useCallback(async (credentials, mode = 'login') => {
+        const response = await api.post(`/api/auth/${mode}`, credentials);
+        const { user, accessToken, refreshToken } = response.data.data;
+        setStoredAuth({ user, accessToken, refreshToken });
+        return user;
+    }, []);
+    
+    const logout = useCallback(async () => {
+        try {
+            await api.post('/api/auth/logout');
+        } catch (error) {
+            console.warn('Error logging out:', error);
+        } finally {
+            setStoredAuth(null);
+        }
+    }, []);
+    
+    return { user: auth?.user || null, login, logout };
+};
+
 // --- UI Components ---
 const ToastContainer = ({ toasts }) => (
     <div className="toast-container">
@@ -111,36 +239,61 @@ function App() {
     const [loading, setLoading] = useState(true);
     const [searchTerm, setSearchTerm] = useState('');
     const [activeFilter, setActiveFilter] = useState('all');
+    const [activeTag, setActiveTag] = useState(null);
+    const [deadlineFilter, setDeadlineFilter] = useState('any');
+    const [statusFilter, setStatusFilter] = useState('published');
+    const [isAdminView, setAdminView] = useState(() => /^\/admin\/?$/.test(window.location.pathname));
+    const [postsVersion, setPostsVersion] = useState(0); // Bumped after edits so the dashboard reloads
+    const debouncedSearch = useDebouncedValue(searchTerm.trim(), 300);
     
     // Modal States
     const [isPostModalOpen, setPostModalOpen] = useState(false);
     const [isReadModalOpen, setReadModalOpen] = useState(false);
     const [isConfirmModalOpen, setConfirmModalOpen] = useState(false);
+    const [isLoginModalOpen, setLoginModalOpen] = useState(false);
     
     // Current Data
     const [currentPost, setCurrentPost] = useState(null);
     const [postIdToDelete, setPostIdToDelete] = useState(null);
+    const [deletePermanently, setDeletePermanently] = useState(false);
     
     // Hooks
     const { toasts, addToast } = useToasts();
-    const [likedPosts, setLikedPosts] = useLocalStorage('likedPosts', []);
+    const { user, login, logout } = useAuth();
 
-    // Convert likedPosts to Set for better performance
-    const likedPostsSet = useMemo(() => new Set(likedPosts), [likedPosts]);
-
-    // Categories for filtering
-    const categories = [
-        { value: 'all', label: 'All', icon: 'fas fa-th-large' },
-        { value: 'job notification', label: 'Jobs', icon: 'fas fa-briefcase' },
-        { value: 'admit card', label: 'Admit Cards', icon: 'fas fa-id-card' },
-        { value: 'result', label: 'Results', icon: 'fas fa-chart-line' }
-    ];
+    // Categories come from the server, in the order admins set
+    const [categories, setCategories] = useState([]);
+    
+    // Filter buttons skip empty categories, but keep the one a deep link selected
+    const filterCategories = useMemo(() => [
+        { name: 'all', label: 'All', icon: 'fas fa-th-large' },
+        ...categories.filter(category => category.postCount > 0 || category.name === activeFilter)
+    ], [categories, activeFilter]);
 
     // API Functions
+    const fetchCategories = useCallback(async () => {
+        try {
+            const response = await api.get('/api/categories');
+            setCategories(response.data.data || []);
+        } catch (error) {
+            console.error('Error fetching categories:', error);
+        }
+    }, []);
+    
     const fetchPosts = useCallback(async () => {
         try {
             setLoading(true);
-            const response = await axios.get(`${API_BASE_URL}/api/posts`);
+            const params = {};
+            if (statusFilter !== 'published') params.status = statusFilter;
+            if (debouncedSearch) params.search = debouncedSearch; // Ranked and highlighted server-side
+            if (activeTag) params.tag = activeTag;
+            if (deadlineFilter === 'open') params.open = 'true';
+            if (deadlineFilter === 'closing') {
+                params.closingWithin = '7d';
+                params.sortBy = 'deadline';
+            }
+            
+            const response = await api.get('/api/posts', { params });
             
             const postsData = response.data.success ? response.data.data : response.data;
             setPosts(Array.isArray(postsData) ? postsData : []);
@@ -151,27 +304,63 @@ function App() {
         } finally {
             setLoading(false);
         }
-    }, [addToast]);
+    }, [addToast, statusFilter, debouncedSearch, activeTag, deadlineFilter]);
+    
+    // Contributors who log out fall back to the public view
+    useEffect(() => {
+        if (!can(user, 'post:create')) setStatusFilter('published');
+    }, [user]);
 
+    // Refetch when the signed-in user changes, since liked state is per reader
     useEffect(() => {
         fetchPosts();
-    }, [fetchPosts]);
+    }, [fetchPosts, user]);
+    
+    useEffect(() => {
+        fetchCategories();
+    }, [fetchCategories]);
+    
+    // Confirm and unsubscribe links in newsletter emails come back with ?newsletter=<outcome>
+    useEffect(() => {
+        const params = new URLSearchParams(window.location.search);
+        const outcome = params.get('newsletter');
+        if (!outcome) return;
+        
+        const messages = {
+            confirmed: ['Subscription confirmed. Your first digest is on its way soon!', 'success'],
+            unsubscribed: ['You have been unsubscribed from the newsletter.', 'info'],
+            invalid: ['That newsletter link is invalid or has expired.', 'error']
+        };
+        if (messages[outcome]) addToast(...messages[outcome]);
+        
+        params.delete('newsletter');
+        const query = params.toString();
+        window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+    }, [addToast]);
 
     const handleFormSubmit = async (formData) => {
         try {
             const endpoint = currentPost 
-                ? `${API_BASE_URL}/api/posts/${currentPost._id}` 
-                : `${API_BASE_URL}/api/posts`;
+                ? `/api/posts/${currentPost._id}` 
+                : '/api/posts';
             const method = currentPost ? 'put' : 'post';
             
-            await axios[method](endpoint, formData, { 
+            const response = await api[method](endpoint, formData, { 
                 headers: { 'Content-Type': 'multipart/form-data' } 
             });
             
+            const removed = response.data.sanitization?.removed || [];
+            if (removed.length > 0) {
+                const names = removed.map(r => r.attribute ? `${r.attribute} on <${r.element}>` : `<${r.element}>`);
+                addToast(`Removed disallowed HTML: ${names.join(', ')}`, 'info');
+            }
+            
             await fetchPosts();
+            setPostsVersion(version => version + 1);
             setPostModalOpen(false);
             setCurrentPost(null);
-            addToast(`Post ${currentPost ? 'updated' : 'created'} successfully!`, 'success');
+            fetchCategories(); // Post counts may have changed
+            addToast(response.data.message || `Post ${currentPost ? 'updated' : 'created'} successfully!`, 'success');
         } catch (error) {
             console.error('Error saving post:', error);
             const errorMessage = error.response?.data?.message || 'Could not save post.';
@@ -181,11 +370,15 @@ function App() {
 
     const handleDeleteConfirm = async () => {
         try {
-            await axios.delete(`${API_BASE_URL}/api/posts/${postIdToDelete}`);
+            const response = await api.delete(`/api/posts/${postIdToDelete}`, {
+                params: deletePermanently ? { force: true } : undefined
+            });
             setPosts(posts.filter(p => p._id !== postIdToDelete));
             setConfirmModalOpen(false);
             setPostIdToDelete(null);
-            addToast('Post deleted successfully!', 'success');
+            setDeletePermanently(false);
+            fetchCategories();
+            addToast(response.data.message || 'Post deleted successfully!', 'success');
         } catch (error) {
             console.error('Error deleting post:', error);
             const errorMessage = error.response?.data?.message || 'Could not delete post.';
@@ -193,39 +386,166 @@ function App() {
         }
     };
     
+    // Likes are recorded server-side per reader; post.liked says whether this reader has liked it
     const handleLike = async (postId) => {
-        if (likedPostsSet.has(postId)) {
-            addToast("You've already liked this post!", 'info');
-            return;
-        }
+        const post = posts.find(p => p._id === postId);
+        if (!post) return;
+        const liked = !post.liked;
         
         // Optimistic update
         setPosts(prevPosts => prevPosts.map(p => 
-            p._id === postId ? { ...p, likes: p.likes + 1 } : p
+            p._id === postId ? { ...p, liked, likes: Math.max(0, p.likes + (liked ? 1 : -1)) } : p
         ));
-        setLikedPosts(prev => [...prev, postId]);
         
         try {
-            await axios.post(`${API_BASE_URL}/api/posts/${postId}/like`);
+            const response = await api.post(`/api/posts/${postId}/${liked ? 'like' : 'unlike'}`);
+            const { likes } = response.data.data;
+            setPosts(prevPosts => prevPosts.map(p => 
+                p._id === postId ? { ...p, liked, likes } : p
+            ));
         } catch (error) {
             // Revert optimistic update on error
             setPosts(prevPosts => prevPosts.map(p => 
-                p._id === postId ? { ...p, likes: p.likes - 1 } : p
+                p._id === postId ? { ...p, liked: post.liked, likes: post.likes } : p
             ));
-            setLikedPosts(prev => prev.filter(id => id !== postId));
             
-            console.error('Error liking post:', error);
-            addToast("Couldn't like post. Please try again.", 'error');
+            console.error('Error updating like:', error);
+            addToast(error.response?.data?.message || `Couldn't ${liked ? 'like' : 'unlike'} post. Please try again.`, 'error');
+        }
+    };
+    
+    const handleLogin = async (credentials, mode) => {
+        try {
+            const loggedIn = await login(credentials, mode);
+            setLoginModalOpen(false);
+            addToast(`Welcome, ${loggedIn.username}!`, 'success');
+        } catch (error) {
+            console.error('Error logging in:', error);
+            const errorMessage = error.response?.data?.message || 'Could not log in.';
+            addToast(`Error: ${errorMessage}`, 'error');
+        }
+    };
+    
+    const handleLogout = async () => {
+        await logout();
+        addToast('Logged out successfully.', 'info');
+    };
+    
+    // --- Permalinks ---
+    const openPost = useCallback((post, { replace = false } = {}) => {
+        setCurrentPost(post);
+        setReadModalOpen(true);
+        if (post.slug) {
+            const path = `/posts/${post.slug}`;
+            if (window.location.pathname !== path) {
+                window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+            }
+        }
+    }, []);
+    
+    // Posts opened from the list are already loaded, so the view is recorded separately
+    const handleReadMore = (post) => {
+        openPost(post);
+        api.post(`/api/posts/${post._id}/view`, { referrer: document.referrer })
+            .then(response => {
+                const { views } = response.data.data;
+                setPosts(prevPosts => prevPosts.map(p => p._id === post._id ? { ...p, views } : p));
+            })
+            .catch(error => console.warn('Could not record view:', error));
+    };
+    
+    // Trending entries carry only card fields, so load the full post (which also counts the view)
+    const openTrendingPost = async (post) => {
+        try {
+            const response = await api.get(`/api/posts/${post._id}`, { params: { ref: document.referrer || undefined } });
+            openPost(response.data.data);
+        } catch (error) {
+            console.error('Error loading trending post:', error);
+            addToast('That post could not be loaded.', 'error');
         }
     };
     
-    const handleShare = async (postId, postTitle) => {
-        const url = `${window.location.origin}/#post-${postId}`;
+    const closePost = () => {
+        setReadModalOpen(false);
+        setCurrentPost(null);
+        if (window.location.pathname.startsWith('/posts/')) {
+            window.history.pushState(null, '', activeTag ? tagPath(activeTag) : categoryPath(activeFilter));
+        }
+    };
+    
+    const selectCategory = (value) => {
+        setActiveFilter(value);
+        setActiveTag(null);
+        window.history.pushState(null, '', categoryPath(value));
+    };
+    
+    const selectTag = (tag) => {
+        setActiveTag(tag);
+        setActiveFilter('all');
+        window.history.pushState(null, '', tag ? tagPath(tag) : '/');
+    };
+    
+    const showAdmin = (show) => {
+        setAdminView(show);
+        window.history.pushState(null, '', show ? '/admin' : categoryPath(activeFilter));
+    };
+    
+    // Resolve /admin, /posts/:slug, /category/:slug and /tag/:tag deep links (and legacy #post-<id> share links)
+    useEffect(() => {
+        const resolveLocation = async () => {
+            const isAdmin = /^\/admin\/?$/.test(window.location.pathname);
+            setAdminView(isAdmin);
+            if (isAdmin) return;
+            
+            const slugMatch = window.location.pathname.match(/^\/posts\/([^/]+)\/?$/);
+            const legacyMatch = window.location.hash.match(/^#post-([a-f0-9]{24})$/i);
+            const categoryMatch = window.location.pathname.match(/^\/category\/([^/]+)\/?$/);
+            const tagMatch = window.location.pathname.match(/^\/tag\/([^/]+)\/?$/);
+            
+            if (categoryMatch) {
+                setActiveFilter(decodeURIComponent(categoryMatch[1]).replace(/-/g, ' '));
+            } else if (!slugMatch) {
+                setActiveFilter('all');
+            }
+            if (!slugMatch) {
+                setActiveTag(tagMatch ? normalizeTag(decodeURIComponent(tagMatch[1])) || null : null);
+            }
+            
+            if (!slugMatch && !legacyMatch) {
+                setReadModalOpen(false);
+                setCurrentPost(null);
+                return;
+            }
+            
+            try {
+                // The API counts this as a view, attributed to wherever the reader came from
+                const params = { ref: document.referrer || undefined };
+                const response = slugMatch
+                    ? await api.get(`/api/posts/by-slug/${encodeURIComponent(slugMatch[1])}`, { params })
+                    : await api.get(`/api/posts/${legacyMatch[1]}`, { params });
+                // Old slugs are redirected by the API, so fix up the address bar too
+                openPost(response.data.data, { replace: true });
+            } catch (error) {
+                console.error('Error loading linked post:', error);
+                addToast('That post could not be found.', 'error');
+                window.history.replaceState(null, '', '/');
+            }
+        };
+        
+        resolveLocation();
+        window.addEventListener('popstate', resolveLocation);
+        return () => window.removeEventListener('popstate', resolveLocation);
+    }, [openPost, addToast]);
+    
+    const handleShare = async (post) => {
+        const url = post.slug
+            ? `${window.location.origin}/posts/${post.slug}`
+            : `${window.location.origin}/#post-${post._id}`;
         
         try {
             if (navigator.share) {
                 await navigator.share({
-                    title: postTitle,
+                    title: post.title,
                     url: url
                 });
                 addToast('Shared successfully!', 'success');
@@ -241,19 +561,39 @@ function App() {
 
     // Filtered posts with memoization
     const filteredPosts = useMemo(() => {
-        return posts.filter(post => {
-            const matchesSearch = post.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                                 post.content.toLowerCase().includes(searchTerm.toLowerCase());
-            const matchesFilter = activeFilter === 'all' || 
-                                 post.category.toLowerCase() === activeFilter.toLowerCase();
-            return matchesSearch && matchesFilter;
-        });
-    }, [posts, searchTerm, activeFilter]);
+        return posts.filter(post => activeFilter === 'all' || 
+                                    post.category.toLowerCase() === activeFilter.toLowerCase());
+    }, [posts, activeFilter]);
 
     return (
         <div className="min-h-screen">
             {/* Hero Section */}
             <header className="text-center py-16 px-4">
+                <div className="auth-bar">
+                    {user ? (
+                        <>
+                            <span className="auth-user">
+                                <i className="fas fa-user-circle mr-2"></i>
+                                {user.username}
+                                <span className="role-badge">{user.role}</span>
+                            </span>
+                            {can(user, 'post:edit:any') && (
+                                <button onClick={() => showAdmin(!isAdminView)} className="btn-secondary">
+                                    <i className={`fas ${isAdminView ? 'fa-arrow-left' : 'fa-tachometer-alt'} mr-2`}></i>
+                                    {isAdminView ? 'Back to site' : 'Dashboard'}
+                                </button>
+                            )}
+                            <button onClick={handleLogout} className="btn-secondary">
+                                Log Out
+                            </button>
+                        </>
+                    ) : (
+                        <button onClick={() => setLoginModalOpen(true)} className="btn-secondary">
+                            <i className="fas fa-sign-in-alt mr-2"></i>
+                            Log In
+                        </button>
+                    )}
+                </div>
                 <h1 className="hero-title">
                     Jaswanth's Blog
                 </h1>
@@ -261,94 +601,162 @@ function App() {
                     Your automated source for the latest job notifications, results, and admit cards. 
                     Stay updated with government opportunities and career advancement resources.
                 </p>
+                {!isAdminView && (
+                    <>
+                        <SubscribeWidget categories={categories} onNotify={addToast} />
+                        <PushToggle categories={categories} onNotify={addToast} />
+                    </>
+                )}
             </header>
             
-            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-                {/* Search and Filter */}
-                <div className="search-container">
-                    <div className="search-input-wrapper">
-                        <i className="search-icon fas fa-search"></i>
-                        <input 
-                            type="text" 
-                            placeholder="Search posts by title or content..." 
-                            className="search-input" 
-                            value={searchTerm} 
-                            onChange={e => setSearchTerm(e.target.value)} 
-                        />
-                    </div>
-                    
-                    <div className="filter-buttons">
-                        {categories.map(({ value, label, icon }) => (
-                            <button 
-                                key={value} 
-                                onClick={() => setActiveFilter(value)} 
-                                className={`filter-btn ${activeFilter === value ? 'active' : ''}`}
-                            >
-                                <i className={`${icon} mr-2`}></i>
-                                {label}
-                            </button>
-                        ))}
-                    </div>
+            {isAdminView ? (
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <AdminDashboard
+                        user={user}
+                        categories={categories}
+                        version={postsVersion}
+                        onEdit={(p) => {
+                            setCurrentPost(p);
+                            setPostModalOpen(true);
+                        }}
+                        onChanged={() => {
+                            fetchPosts();
+                            fetchCategories();
+                        }}
+                        onNotify={addToast}
+                        onLogin={() => setLoginModalOpen(true)}
+                    />
                 </div>
-
-                {/* Main Content */}
-                <main>
-                    {loading ? (
-                        <div className="posts-grid">
-                            {Array(6).fill(0).map((_, i) => <LoadingCard key={i} />)}
+            ) : (
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    {/* Search and Filter */}
+                    <div className="search-container">
+                        <div className="search-input-wrapper">
+                            <i className="search-icon fas fa-search"></i>
+                            <input 
+                                type="text" 
+                                placeholder='Search posts, e.g. "admit card" -upsc' 
+                                className="search-input" 
+                                value={searchTerm} 
+                                onChange={e => setSearchTerm(e.target.value)} 
+                            />
                         </div>
-                    ) : filteredPosts.length > 0 ? (
-                        <div className="posts-grid">
-                            {filteredPosts.map((post, i) => (
-                                <PostCard 
-                                    key={post._id} 
-                                    post={post} 
-                                    onLike={handleLike} 
-                                    isLiked={likedPostsSet.has(post._id)} 
-                                    onEdit={(p) => { 
-                                        setCurrentPost(p); 
-                                        setPostModalOpen(true); 
-                                    }} 
-                                    onDelete={(id) => { 
-                                        setPostIdToDelete(id); 
-                                        setConfirmModalOpen(true); 
-                                    }} 
-                                    onReadMore={(p) => { 
-                                        setCurrentPost(p); 
-                                        setReadModalOpen(true); 
-                                    }} 
-                                    onShare={() => handleShare(post._id, post.title)} 
-                                    style={{ animationDelay: `${i * 100}ms` }} 
-                                />
+                    
+                        {activeTag && (
+                            <div className="active-tag">
+                                <span>Showing posts tagged</span>
+                                <span className="tag-chip active">#{activeTag}</span>
+                                <button onClick={() => selectTag(null)} className="link-btn">
+                                    Clear
+                                </button>
+                            </div>
+                        )}
+                    
+                        <div className="filter-buttons">
+                            {filterCategories.map(({ name, label, icon, postCount }) => (
+                                <button 
+                                    key={name} 
+                                    onClick={() => selectCategory(name)} 
+                                    className={`filter-btn ${activeFilter === name ? 'active' : ''}`}
+                                >
+                                    <i className={`${icon} mr-2`}></i>
+                                    {label}
+                                    {postCount > 0 && <span className="filter-count">{postCount}</span>}
+                                </button>
                             ))}
+                        
+                            <select 
+                                value={deadlineFilter} 
+                                onChange={e => setDeadlineFilter(e.target.value)} 
+                                className="form-select status-filter"
+                                title="Application deadline"
+                            >
+                                <option value="any">Any deadline</option>
+                                <option value="open">Applications open</option>
+                                <option value="closing">Closing within 7 days</option>
+                            </select>
+                        
+                            {can(user, 'post:create') && (
+                                <select 
+                                    value={statusFilter} 
+                                    onChange={e => setStatusFilter(e.target.value)} 
+                                    className="form-select status-filter"
+                                    title="Post status"
+                                >
+                                    <option value="published">Published</option>
+                                    <option value="draft">Drafts</option>
+                                    <option value="scheduled">Scheduled</option>
+                                    <option value="archived">Archived</option>
+                                    <option value="all">All statuses</option>
+                                </select>
+                            )}
                         </div>
-                    ) : (
-                        <div className="empty-state">
-                            <div className="empty-icon">
-                                <i className="fas fa-search"></i>
+                    </div>
+
+                    {/* Main Content */}
+                    <main>
+                        {!debouncedSearch && !activeTag && deadlineFilter === 'any' && statusFilter === 'published' && (
+                            <TrendingStrip category={activeFilter} categories={categories} onOpen={openTrendingPost} />
+                        )}
+                        {loading ? (
+                            <div className="posts-grid">
+                                {Array(6).fill(0).map((_, i) => <LoadingCard key={i} />)}
                             </div>
-                            <h3 className="empty-title">No posts found</h3>
-                            <p className="empty-message">
-                                {searchTerm || activeFilter !== 'all' 
-                                    ? 'Try adjusting your search or filter criteria' 
-                                    : 'No posts have been published yet'}
-                            </p>
-                        </div>
-                    )}
-                </main>
-            </div>
+                        ) : filteredPosts.length > 0 ? (
+                            <div className="posts-grid">
+                                {filteredPosts.map((post, i) => (
+                                    <PostCard 
+                                        key={post._id} 
+                                        post={post} 
+                                        onLike={handleLike} 
+                                        isLiked={!!post.liked} 
+                                        canEdit={canModifyPost(user, post, 'edit')}
+                                        canDelete={canModifyPost(user, post, 'delete')}
+                                        onEdit={(p) => { 
+                                            setCurrentPost(p); 
+                                            setPostModalOpen(true); 
+                                        }} 
+                                        onDelete={(id) => { 
+                                            setPostIdToDelete(id); 
+                                            setConfirmModalOpen(true); 
+                                        }} 
+                                        onReadMore={handleReadMore} 
+                                        onTagClick={selectTag}
+                                        onShare={() => handleShare(post)} 
+                                        style={{ animationDelay: `${i * 100}ms` }} 
+                                    />
+                                ))}
+                            </div>
+                        ) : (
+                            <div className="empty-state">
+                                <div className="empty-icon">
+                                    <i className="fas fa-search"></i>
+                                </div>
+                                <h3 className="empty-title">No posts found</h3>
+                                <p className="empty-message">
+                                    {searchTerm || activeTag || deadlineFilter !== 'any' || activeFilter !== 'all' 
+                                        ? 'Try adjusting your search or filter criteria' 
+                                        : 'No posts have been published yet'}
+                                </p>
+                            </div>
+                        )}
+                    </main>
+                </div>
+            )}
             
             {/* Floating Action Button */}
-            <button 
-                onClick={() => { 
-                    setCurrentPost(null); 
-                    setPostModalOpen(true); 
-                }} 
-                className="fab"
-                title="Create New Post"
-            >
-                <i className="fas fa-plus"></i>
-            </button>
+            {can(user, 'post:create') && (
+                <button 
+                    onClick={() => { 
+                        setCurrentPost(null); 
+                        setPostModalOpen(true); 
+                    }} 
+                    className="fab"
+                    title="Create New Post"
+                >
+                    <i className="fas fa-plus"></i>
+                </button>
+            )}
 
             {/* Modals and Toasts */}
             <ToastContainer toasts={toasts} />
@@ -360,16 +768,30 @@ function App() {
                     setCurrentPost(null);
                 }} 
                 post={currentPost} 
+                categories={categories}
                 onSubmit={handleFormSubmit} 
+                canPublish={can(user, 'post:publish')}
+                onNotify={addToast}
+                onRestored={async () => {
+                    await fetchPosts();
+                    setPostsVersion(version => version + 1);
+                    setPostModalOpen(false);
+                    setCurrentPost(null);
+                }}
             />
             
             <ReadMoreModal 
                 isOpen={isReadModalOpen} 
-                onClose={() => {
-                    setReadModalOpen(false);
-                    setCurrentPost(null);
-                }} 
+                onClose={closePost} 
                 post={currentPost} 
+                user={user}
+                onNotify={addToast}
+            />
+            
+            <LoginModal 
+                isOpen={isLoginModalOpen} 
+                onClose={() => setLoginModalOpen(false)} 
+                onSubmit={handleLogin} 
             />
             
             <ConfirmModal 
@@ -377,15 +799,123 @@ function App() {
                 onClose={() => {
                     setConfirmModalOpen(false);
                     setPostIdToDelete(null);
+                    setDeletePermanently(false);
                 }} 
                 onConfirm={handleDeleteConfirm} 
+                allowPermanent={can(user, 'post:delete:force')}
+                canRestore={can(user, 'post:edit:any')}
+                permanent={deletePermanently}
+                onPermanentChange={setDeletePermanently}
             />
         </div>
     );
 }
 
+// Category filters map to crawlable /category/:slug URLs
+const categoryPath = (category) => (category === 'all' ? '/' : `/category/${category.replace(/\s+/g, '-')}`);
+const tagPath = (tag) => `/tag/${encodeURIComponent(tag)}`;
+
+// Mirrors the server's tag normalization so chips show what will be saved
+const normalizeTag = (value) => String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 30);
+
+// Formats a date for a datetime-local input, in the browser's timezone
+const toDateTimeInput = (value) => {
+    const date = new Date(value);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const toDateInput = (value) => toDateTimeInput(value).slice(0, 10);
+
+const formatJobDate = (value) => new Date(value).toLocaleDateString("en-US", { 
+    year: 'numeric', 
+    month: 'short', 
+    day: 'numeric' 
+});
+
+// Where a job post stands relative to its application window, for the deadline badge
+const jobDeadline = (job) => {
+    if (!job?.applicationEnd) return null;
+    
+    const now = Date.now();
+    const end = new Date(job.applicationEnd).getTime();
+    if (end < now) return { state: 'expired', label: 'Expired' };
+    if (job.applicationStart && new Date(job.applicationStart).getTime() > now) {
+        return { state: 'upcoming', label: `Opens ${formatJobDate(job.applicationStart)}` };
+    }
+    
+    const daysLeft = Math.floor((end - now) / (24 * 60 * 60 * 1000));
+    if (daysLeft === 0) return { state: 'closing', label: 'Closes today' };
+    if (daysLeft <= 7) return { state: 'closing', label: `${daysLeft} day${daysLeft === 1 ? '' : 's'} left` };
+    return { state: 'open', label: `Apply by ${formatJobDate(job.applicationEnd)}` };
+};
+
+// webcal:// makes calendar apps subscribe to the feed instead of importing a one-off copy
+const calendarFeedUrl = () => `${API_BASE_URL.replace(/^https?:/, 'webcal:')}/calendar.ics`;
+
+const EMPTY_JOB = {
+    organization: '',
+    location: '',
+    vacancies: '',
+    eligibility: '',
+    fee: '',
+    applicationStart: '',
+    applicationEnd: '',
+    examDate: '',
+    officialLink: ''
+};
+
 // --- Card & Modal Components ---
-const PostCard = ({ post, onEdit, onDelete, onReadMore, onShare, onLike, isLiked, style }) => {
+const CARD_IMAGE_SIZES = '(max-width: 768px) 100vw, 420px';
+const MODAL_IMAGE_SIZES = '(max-width: 640px) 100vw, 550px';
+
+// Processed uploads carry AVIF/WebP variants (built in the background, so briefly absent); the intrinsic size and
+// blurred placeholder hold their space while they load. Key it by mediaUrl so a new image starts from its placeholder
+const PostImage = ({ post, sizes, className, onError }) => {
+    const [loaded, setLoaded] = useState(false);
+    const image = post.mediaImage;
+    
+    if (!image) {
+        return <img src={post.mediaUrl} alt={post.title} className={className} onError={onError} />;
+    }
+    
+    const hasVariants = image.variants?.length > 0;
+    const srcSet = (format) => image.variants
+        .filter(variant => variant.format === format)
+        .map(variant => `${variant.url} ${variant.width}w`)
+        .join(', ');
+    
+    return (
+        <picture className="post-image">
+            {hasVariants && <source type="image/avif" srcSet={srcSet('avif')} sizes={sizes} />}
+            {hasVariants && <source type="image/webp" srcSet={srcSet('webp')} sizes={sizes} />}
+            <img
+                src={post.mediaUrl}
+                alt={post.title}
+                width={image.width}
+                height={image.height}
+                sizes={sizes}
+                loading="lazy"
+                decoding="async"
+                className={className}
+                style={{
+                    aspectRatio: `${image.width} / ${image.height}`,
+                    backgroundImage: !loaded && image.placeholder ? `url(${image.placeholder})` : undefined
+                }}
+                onLoad={() => setLoaded(true)}
+                onError={onError}
+            />
+        </picture>
+    );
+};
+
+const PostCard = ({ post, onEdit, onDelete, onReadMore, onShare, onLike, onTagClick, isLiked, canEdit, canDelete, style }) => {
     const [imageError, setImageError] = useState(false);
     
     const truncatedContent = post.content.replace(/<[^>]*>/g, ''); // Strip HTML
@@ -398,6 +928,7 @@ const PostCard = ({ post, onEdit, onDelete, onReadMore, onShare, onLike, isLiked
         month: 'short', 
         day: 'numeric' 
     });
+    const deadline = jobDeadline(post.job);
     
     return (
         <article className="post-card" style={style}>
@@ -410,38 +941,59 @@ const PostCard = ({ post, onEdit, onDelete, onReadMore, onShare, onLike, isLiked
                             onError={() => setImageError(true)}
                         />
                     ) : (
-                        <img 
-                            src={post.mediaUrl} 
-                            alt={post.title} 
-                            className="w-full h-full object-cover" 
+                        <PostImage
+                            key={post.mediaUrl}
+                            post={post}
+                            sizes={CARD_IMAGE_SIZES}
+                            className="w-full h-full object-cover"
                             onError={() => setImageError(true)}
                         />
                     )}
                     
-                    <div className="post-card-actions">
-                        <button 
-                            onClick={() => onEdit(post)} 
-                            className="action-btn"
-                            title="Edit Post"
-                        >
-                            <i className="fas fa-edit"></i>
-                        </button>
-                        <button 
-                            onClick={() => onDelete(post._id)} 
-                            className="action-btn delete"
-                            title="Delete Post"
-                        >
-                            <i className="fas fa-trash"></i>
-                        </button>
-                    </div>
+                    {(canEdit || canDelete) && (
+                        <div className="post-card-actions">
+                            {canEdit && (
+                                <button 
+                                    onClick={() => onEdit(post)} 
+                                    className="action-btn"
+                                    title="Edit Post"
+                                >
+                                    <i className="fas fa-edit"></i>
+                                </button>
+                            )}
+                            {canDelete && (
+                                <button 
+                                    onClick={() => onDelete(post._id)} 
+                                    className="action-btn delete"
+                                    title="Delete Post"
+                                >
+                                    <i className="fas fa-trash"></i>
+                                </button>
+                            )}
+                        </div>
+                    )}
                 </div>
             )}
             
             <div className="post-card-content">
-                <h2 className="post-title">{post.title}</h2>
+                {post.highlight ? (
+                    <h2 className="post-title" dangerouslySetInnerHTML={{ __html: post.highlight.title }} />
+                ) : (
+                    <h2 className="post-title">{post.title}</h2>
+                )}
                 
                 <div className="post-meta">
                     <span className="category-badge">{post.category}</span>
+                    {post.status && post.status !== 'published' && (
+                        <span className={`status-badge ${post.status}`}>
+                            {post.status === 'scheduled' && post.publishAt
+                                ? `Scheduled ${new Date(post.publishAt).toLocaleString("en-US", { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`
+                                : post.status}
+                        </span>
+                    )}
+                    {deadline && (
+                        <span className={`deadline-badge ${deadline.state}`}>{deadline.label}</span>
+                    )}
                     <span className="post-date">{formattedDate}</span>
                     {post.views > 0 && (
                         <span className="post-date">
@@ -451,7 +1003,22 @@ const PostCard = ({ post, onEdit, onDelete, onReadMore, onShare, onLike, isLiked
                     )}
                 </div>
                 
-                <p className="post-excerpt">{excerpt}</p>
+                {post.highlight ? (
+                    // Server escapes the text and only adds <mark> around matches
+                    <p className="post-excerpt search-excerpt" dangerouslySetInnerHTML={{ __html: post.highlight.excerpt }} />
+                ) : (
+                    <p className="post-excerpt">{excerpt}</p>
+                )}
+                
+                {post.tags?.length > 0 && (
+                    <div className="tag-list">
+                        {post.tags.map(tag => (
+                            <button key={tag} onClick={() => onTagClick(tag)} className="tag-chip" title={`Posts tagged ${tag}`}>
+                                #{tag}
+                            </button>
+                        ))}
+                    </div>
+                )}
                 
                 <div className="post-card-footer">
                     <button 
@@ -465,8 +1032,8 @@ const PostCard = ({ post, onEdit, onDelete, onReadMore, onShare, onLike, isLiked
                         <button 
                             onClick={() => onLike(post._id)} 
                             className={`like-btn ${isLiked ? 'liked' : ''}`}
-                            disabled={isLiked}
-                            title={isLiked ? "Already liked" : "Like post"}
+                            aria-pressed={isLiked}
+                            title={isLiked ? "Unlike post" : "Like post"}
                         >
                             <i className={`fas fa-heart ${isLiked ? 'text-red-500' : ''}`}></i>
                             <span>{post.likes}</span>
@@ -486,31 +1053,207 @@ const PostCard = ({ post, onEdit, onDelete, onReadMore, onShare, onLike, isLiked
     );
 };
 
-const PostFormModal = ({ isOpen, onClose, post, onSubmit }) => {
+// Posts ranked by recent, time-decayed views and likes; hidden until there is something to show
+const TrendingStrip = ({ category, categories, onOpen }) => {
+    const [trending, setTrending] = useState([]);
+    
+    useEffect(() => {
+        let cancelled = false;
+        api.get('/api/posts/trending', { params: { category: category !== 'all' ? category : undefined, limit: 8 } })
+            .then(response => {
+                if (!cancelled) setTrending(response.data.data || []);
+            })
+            .catch(error => console.error('Error fetching trending posts:', error));
+        return () => { cancelled = true; };
+    }, [category]);
+    
+    if (trending.length === 0) return null;
+    
+    const labelFor = (name) => categories.find(c => c.name === name)?.label || name;
+    
+    return (
+        <section className="trending-strip" aria-label="Trending posts">
+            <h2 className="trending-title">
+                <i className="fas fa-fire mr-2"></i>
+                Trending{category !== 'all' ? ` in ${labelFor(category)}` : ''}
+            </h2>
+            <ol className="trending-list">
+                {trending.map((post, index) => (
+                    <li key={post._id}>
+                        <button onClick={() => onOpen(post)} className="trending-item">
+                            <span className="trending-rank">{index + 1}</span>
+                            <span className="trending-body">
+                                <span className="trending-category">{labelFor(post.category)}</span>
+                                <span className="trending-post-title">{post.title}</span>
+                                <span className="trending-meta">
+                                    <i className="fas fa-eye"></i> {post.views}
+                                    <i className="fas fa-heart ml-3"></i> {post.likes}
+                                </span>
+                            </span>
+                        </button>
+                    </li>
+                ))}
+            </ol>
+        </section>
+    );
+};
+
+const TagInput = ({ tags, onChange, maxTags = 10 }) => {
+    const [draft, setDraft] = useState('');
+    const [suggestions, setSuggestions] = useState([]);
+    const query = useDebouncedValue(normalizeTag(draft), 200);
+    
+    useEffect(() => {
+        if (!query) {
+            setSuggestions([]);
+            return;
+        }
+        let cancelled = false;
+        api.get('/api/tags', { params: { q: query, limit: 8 } })
+            .then(response => {
+                if (!cancelled) setSuggestions(response.data.data.map(({ tag }) => tag));
+            })
+            .catch(error => console.warn('Could not load tag suggestions:', error));
+        return () => { cancelled = true; };
+    }, [query]);
+    
+    const addTag = (value) => {
+        const tag = normalizeTag(value);
+        if (tag && !tags.includes(tag) && tags.length < maxTags) onChange([...tags, tag]);
+        setDraft('');
+        setSuggestions([]);
+    };
+    
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTag(draft);
+        } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+            onChange(tags.slice(0, -1));
+        }
+    };
+    
+    const visibleSuggestions = suggestions.filter(tag => !tags.includes(tag));
+    
+    return (
+        <div className="tag-input">
+            <div className="tag-input-field">
+                {tags.map(tag => (
+                    <span key={tag} className="tag-chip">
+                        #{tag}
+                        <button type="button" onClick={() => onChange(tags.filter(t => t !== tag))} title={`Remove ${tag}`}>
+                            <i className="fas fa-times"></i>
+                        </button>
+                    </span>
+                ))}
+                {tags.length < maxTags && (
+                    <input 
+                        type="text" 
+                        value={draft} 
+                        onChange={e => setDraft(e.target.value)} 
+                        onKeyDown={handleKeyDown} 
+                        onBlur={() => draft && addTag(draft)} 
+                        placeholder={tags.length ? '' : 'e.g. ssc, andhra-pradesh, graduate'}
+                    />
+                )}
+            </div>
+            {visibleSuggestions.length > 0 && (
+                <div className="tag-suggestions">
+                    {visibleSuggestions.map(tag => (
+                        // onMouseDown fires before the input's blur, so the click is not lost
+                        <button key={tag} type="button" onMouseDown={e => { e.preventDefault(); addTag(tag); }}>
+                            #{tag}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const PostFormModal = ({ isOpen, onClose, post, categories, onSubmit, canPublish, onNotify, onRestored }) => {
     const [formData, setFormData] = useState({
         title: '',
-        category: 'Job Notification',
-        content: ''
+        category: '',
+        tags: [],
+        content: '',
+        contentFormat: 'html'
     });
     const [mediaFile, setMediaFile] = useState(null);
     const [preview, setPreview] = useState(null);
     const [isSubmitting, setIsSubmitting] = useState(false);
+    const [showContentPreview, setShowContentPreview] = useState(false);
+    const [contentPreview, setContentPreview] = useState('');
+    const [showHistory, setShowHistory] = useState(false);
+    const [publishAt, setPublishAt] = useState('');
+    const [showSchedule, setShowSchedule] = useState(false);
+    const [hasJob, setHasJob] = useState(false);
+    const [job, setJob] = useState(EMPTY_JOB);
 
     useEffect(() => {
         if (isOpen) {
+            const contentFormat = post?.contentFormat || 'html';
             setFormData({
                 title: post?.title || '',
-                category: post?.category || 'Job Notification',
-                content: post?.content || ''
+                category: post?.category || '',
+                tags: post?.tags || [],
+                content: (contentFormat === 'markdown' ? post?.contentSource : post?.content) || '',
+                contentFormat
             });
             setMediaFile(null);
             setPreview(post?.mediaUrl || null);
+            setShowContentPreview(false);
+            setShowHistory(false);
+            setPublishAt(post?.publishAt ? toDateTimeInput(post.publishAt) : '');
+            setShowSchedule(post?.status === 'scheduled');
+            setHasJob(Boolean(post?.job));
+            setJob(post?.job ? {
+                ...EMPTY_JOB,
+                ...post.job,
+                vacancies: post.job.vacancies ?? '',
+                applicationStart: post.job.applicationStart ? toDateInput(post.job.applicationStart) : '',
+                applicationEnd: post.job.applicationEnd ? toDateInput(post.job.applicationEnd) : '',
+                examDate: post.job.examDate ? toDateInput(post.job.examDate) : ''
+            } : EMPTY_JOB);
         }
     }, [post, isOpen]);
+    
+    // New posts default to the first category. Kept apart from the reset above so a categories refetch
+    // (e.g. after a save) never wipes what is being edited
+    useEffect(() => {
+        if (!isOpen || !categories[0]) return;
+        setFormData(current => (current.category ? current : { ...current, category: categories[0].name }));
+    }, [post, isOpen, categories]);
+    
+    // Render the preview on the server so it matches what readers will see
+    useEffect(() => {
+        if (!isOpen || !showContentPreview) return;
+        
+        const timer = setTimeout(async () => {
+            try {
+                const response = await api.post('/api/posts/preview', {
+                    content: formData.content,
+                    contentFormat: formData.contentFormat
+                });
+                setContentPreview(response.data.data.html);
+            } catch (error) {
+                console.error('Error rendering preview:', error);
+            }
+        }, 400);
+        
+        return () => clearTimeout(timer);
+    }, [isOpen, showContentPreview, formData.content, formData.contentFormat]);
 
     const handleInputChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({ ...prev, [name]: value }));
+        // New job notifications start with the job details section open
+        if (name === 'category' && value === 'job notification' && !post) setHasJob(true);
+    };
+    
+    const handleJobChange = (e) => {
+        const { name, value } = e.target;
+        setJob(prev => ({ ...prev, [name]: value }));
     };
 
     const handleFileChange = (e) => {
@@ -528,15 +1271,30 @@ const PostFormModal = ({ isOpen, onClose, post, onSubmit }) => {
         }
     };
     
-    const handleSubmit = async (e) => {
-        e.preventDefault();
+    const currentStatus = post?.status || 'published';
+    // Editing a live post keeps it live, and without publish rights editing never changes the status;
+    // otherwise the main button publishes (or saves a draft of a new post)
+    const primaryStatus = post && (currentStatus === 'published' || !canPublish) ? undefined
+        : canPublish ? 'published' : 'draft';
+    const primaryLabel = !primaryStatus ? 'Save Changes'
+        : primaryStatus === 'draft' ? 'Save Draft'
+        : post ? 'Publish Now' : 'Publish Post';
+    
+    const submitPost = async (status) => {
         if (isSubmitting) return;
         
         setIsSubmitting(true);
         const submitData = new FormData();
         submitData.append('title', formData.title.trim());
         submitData.append('category', formData.category);
+        submitData.append('tags', formData.tags.join(','));
+        // Dates go up as plain days; the server treats the last date as open until the end of that day
+        if (hasJob) submitData.append('job', JSON.stringify(job));
+        else if (post?.job) submitData.append('job', '');
         submitData.append('content', formData.content.trim());
+        submitData.append('contentFormat', formData.contentFormat);
+        if (status) submitData.append('status', status);
+        if (status === 'scheduled') submitData.append('publishAt', new Date(publishAt).toISOString());
         
         if (mediaFile) {
             submitData.append('mediaFile', mediaFile);
@@ -548,8 +1306,29 @@ const PostFormModal = ({ isOpen, onClose, post, onSubmit }) => {
             setIsSubmitting(false);
         }
     };
+    
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        submitPost(primaryStatus);
+    };
+    
+    // Secondary actions bypass the form's submit event, so check validity by hand
+    const handleSaveDraft = (e) => {
+        if (e.currentTarget.form.reportValidity()) submitPost('draft');
+    };
+    
+    const handleSchedule = (e) => {
+        if (!showSchedule || !publishAt) {
+            setShowSchedule(true);
+            return;
+        }
+        if (new Date(publishAt) <= new Date()) {
+            alert('Please choose a time in the future.');
+            return;
+        }
+        if (e.currentTarget.form.reportValidity()) submitPost('scheduled');
+    };
 
-    const categories = ['Job Notification', 'Admit Card', 'Result'];
 
     return (
         <Modal 
@@ -557,110 +1336,443 @@ const PostFormModal = ({ isOpen, onClose, post, onSubmit }) => {
             onClose={onClose}
             title={post ? 'Edit Post' : 'Create New Post'}
         >
-            <form onSubmit={handleSubmit} className="space-y-4">
-                {preview && (
-                    <div className="mb-4">
-                        {preview.includes('video') || mediaFile?.type?.startsWith('video') ? (
-                            <video 
-                                src={preview} 
-                                className="w-full max-h-48 object-contain rounded-lg" 
-                                controls
-                            />
-                        ) : (
-                            <img 
-                                src={preview} 
-                                alt="Preview" 
-                                className="w-full max-h-48 object-contain rounded-lg"
-                            />
-                        )}
-                    </div>
-                )}
-                
-                <div className="form-group">
-                    <label className="form-label">Title *</label>
-                    <input 
-                        type="text" 
-                        name="title"
-                        value={formData.title} 
-                        onChange={handleInputChange} 
-                        className="form-input" 
-                        required 
-                        maxLength={200}
-                        placeholder="Enter post title..."
-                    />
-                </div>
-                
-                <div className="form-group">
-                    <label className="form-label">Category *</label>
-                    <select 
-                        name="category"
-                        value={formData.category} 
-                        onChange={handleInputChange} 
-                        className="form-select" 
-                        required
-                    >
-                        {categories.map(cat => (
-                            <option key={cat} value={cat}>{cat}</option>
-                        ))}
-                    </select>
-                </div>
-                
-                <div className="form-group">
-                    <label className="form-label">Content (HTML supported) *</label>
-                    <textarea 
-                        name="content"
-                        rows="8" 
-                        value={formData.content} 
-                        onChange={handleInputChange} 
-                        className="form-textarea" 
-                        required
-                        placeholder="Enter post content. You can use HTML tags for formatting..."
-                    />
-                </div>
-                
-                <div className="form-group">
-                    <label className="form-label">Media File</label>
-                    <input 
-                        type="file" 
-                        onChange={handleFileChange} 
-                        accept="image/*,video/*"
-                        className="form-input" 
-                    />
-                    <p className="text-sm text-slate-400 mt-1">
-                        Max file size: 10MB. Supported: Images and Videos
-                    </p>
-                </div>
-                
-                <div className="flex justify-end gap-4 pt-4">
+            {post && (
+                <div className="flex justify-end mb-4">
                     <button 
                         type="button" 
-                        onClick={onClose} 
-                        className="btn-secondary"
-                        disabled={isSubmitting}
+                        onClick={() => setShowHistory(prev => !prev)} 
+                        className="link-btn text-sm"
                     >
-                        Cancel
+                        <i className="fas fa-history mr-1"></i>
+                        {showHistory ? 'Back to editor' : 'History'}
                     </button>
-                    <button 
-                        type="submit" 
-                        className="btn-primary"
-                        disabled={isSubmitting}
-                    >
-                        {isSubmitting ? (
+                </div>
+            )}
+            
+            {post && showHistory ? (
+                <RevisionHistory postId={post._id} onNotify={onNotify} onRestored={onRestored} />
+            ) : (
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    {preview && (
+                        <div className="mb-4">
+                            {preview.includes('video') || mediaFile?.type?.startsWith('video') ? (
+                                <video 
+                                    src={preview} 
+                                    className="w-full max-h-48 object-contain rounded-lg" 
+                                    controls
+                                />
+                            ) : (
+                                <img 
+                                    src={preview} 
+                                    alt="Preview" 
+                                    className="w-full max-h-48 object-contain rounded-lg"
+                                />
+                            )}
+                        </div>
+                    )}
+                    
+                    <div className="form-group">
+                        <label className="form-label">Title *</label>
+                        <input 
+                            type="text" 
+                            name="title"
+                            value={formData.title} 
+                            onChange={handleInputChange} 
+                            className="form-input" 
+                            required 
+                            maxLength={200}
+                            placeholder="Enter post title..."
+                        />
+                    </div>
+                    
+                    <div className="form-group">
+                        <label className="form-label">Category *</label>
+                        <select 
+                            name="category"
+                            value={formData.category} 
+                            onChange={handleInputChange} 
+                            className="form-select" 
+                            required
+                        >
+                            {categories.map(category => (
+                                <option key={category.name} value={category.name}>{category.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    
+                    <div className="form-group">
+                        <label className="form-label">Tags</label>
+                        <TagInput 
+                            tags={formData.tags} 
+                            onChange={tags => setFormData(prev => ({ ...prev, tags }))} 
+                        />
+                    </div>
+                    
+                    <div className="form-group">
+                        <label className="flex items-center gap-2 text-slate-300 text-sm">
+                            <input 
+                                type="checkbox" 
+                                checked={hasJob} 
+                                onChange={e => setHasJob(e.target.checked)} 
+                            />
+                            Include structured job details (deadlines, vacancies, official link)
+                        </label>
+                    </div>
+                    
+                    {hasJob && (
+                        <fieldset className="job-fields">
+                            <legend>Job Details</legend>
+                            <div className="job-fields-grid">
+                                <div>
+                                    <label className="form-label">Organization</label>
+                                    <input name="organization" value={job.organization} onChange={handleJobChange} className="form-input" maxLength={120} placeholder="e.g. Staff Selection Commission" />
+                                </div>
+                                <div>
+                                    <label className="form-label">Location</label>
+                                    <input name="location" value={job.location} onChange={handleJobChange} className="form-input" maxLength={120} placeholder="e.g. All India, New Delhi" />
+                                </div>
+                                <div>
+                                    <label className="form-label">Vacancies</label>
+                                    <input type="number" min="0" name="vacancies" value={job.vacancies} onChange={handleJobChange} className="form-input" />
+                                </div>
+                                <div>
+                                    <label className="form-label">Application Starts</label>
+                                    <input type="date" name="applicationStart" value={job.applicationStart} onChange={handleJobChange} className="form-input" />
+                                </div>
+                                <div>
+                                    <label className="form-label">Last Date</label>
+                                    <input type="date" name="applicationEnd" value={job.applicationEnd} min={job.applicationStart || undefined} onChange={handleJobChange} className="form-input" />
+                                </div>
+                                <div>
+                                    <label className="form-label">Exam Date</label>
+                                    <input type="date" name="examDate" value={job.examDate} onChange={handleJobChange} className="form-input" />
+                                </div>
+                                <div>
+                                    <label className="form-label">Application Fee</label>
+                                    <input name="fee" value={job.fee} onChange={handleJobChange} className="form-input" maxLength={200} placeholder="e.g. ₹100 (exempt for SC/ST)" />
+                                </div>
+                                <div>
+                                    <label className="form-label">Official Link</label>
+                                    <input type="url" name="officialLink" value={job.officialLink} onChange={handleJobChange} className="form-input" placeholder="https://" />
+                                </div>
+                            </div>
+                            <label className="form-label">Eligibility</label>
+                            <textarea name="eligibility" value={job.eligibility} onChange={handleJobChange} className="form-textarea" rows={2} maxLength={500} placeholder="e.g. Graduate in any discipline, 18-27 years" />
+                        </fieldset>
+                    )}
+                    
+                    <div className="form-group">
+                        <div className="content-toolbar">
+                            <label className="form-label">Content *</label>
+                            <div className="format-switch">
+                                {[['markdown', 'Markdown'], ['html', 'HTML']].map(([value, label]) => (
+                                    <button 
+                                        key={value}
+                                        type="button" 
+                                        onClick={() => setFormData(prev => ({ ...prev, contentFormat: value }))} 
+                                        className={formData.contentFormat === value ? 'active' : ''}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                                <button 
+                                    type="button" 
+                                    onClick={() => setShowContentPreview(prev => !prev)} 
+                                    className={showContentPreview ? 'active' : ''}
+                                    title="Toggle live preview"
+                                >
+                                    <i className="fas fa-eye"></i>
+                                </button>
+                            </div>
+                        </div>
+                        <div className={showContentPreview ? 'content-editor split' : 'content-editor'}>
+                            <textarea 
+                                name="content"
+                                rows="8" 
+                                value={formData.content} 
+                                onChange={handleInputChange} 
+                                className="form-textarea" 
+                                required
+                                placeholder={formData.contentFormat === 'markdown'
+                                    ? 'Write in Markdown: # Heading, **bold**, - list items, [link](https://...)'
+                                    : 'Enter post content. You can use HTML tags for formatting...'}
+                            />
+                            {showContentPreview && (
+                                <div 
+                                    className="content-preview prose prose-invert max-w-none text-slate-300" 
+                                    dangerouslySetInnerHTML={{ __html: contentPreview }}
+                                />
+                            )}
+                        </div>
+                    </div>
+                    
+                    <div className="form-group">
+                        <label className="form-label">Media File</label>
+                        <input 
+                            type="file" 
+                            onChange={handleFileChange} 
+                            accept="image/*,video/*"
+                            className="form-input" 
+                        />
+                        <p className="text-sm text-slate-400 mt-1">
+                            Max file size: 10MB. Supported: Images and Videos
+                        </p>
+                    </div>
+                    
+                    {canPublish && showSchedule && (
+                        <div className="form-group">
+                            <label className="form-label">Publish At</label>
+                            <input 
+                                type="datetime-local" 
+                                value={publishAt} 
+                                onChange={e => setPublishAt(e.target.value)} 
+                                className="form-input" 
+                                min={toDateTimeInput(new Date())}
+                            />
+                        </div>
+                    )}
+                    
+                    <div className="flex justify-end gap-4 pt-4">
+                        <button 
+                            type="button" 
+                            onClick={onClose} 
+                            className="btn-secondary"
+                            disabled={isSubmitting}
+                        >
+                            Cancel
+                        </button>
+                        {canPublish && (
                             <>
-                                <div className="spinner mr-2 w-4 h-4"></div>
-                                {post ? 'Saving...' : 'Publishing...'}
+                                <button 
+                                    type="button" 
+                                    onClick={handleSaveDraft} 
+                                    className="btn-secondary"
+                                    disabled={isSubmitting}
+                                >
+                                    Save Draft
+                                </button>
+                                <button 
+                                    type="button" 
+                                    onClick={handleSchedule} 
+                                    className="btn-secondary"
+                                    disabled={isSubmitting}
+                                >
+                                    <i className="fas fa-clock mr-2"></i>
+                                    Schedule
+                                </button>
                             </>
-                        ) : (
-                            post ? 'Save Changes' : 'Publish Post'
                         )}
-                    </button>
-                </div>
-            </form>
+                        <button 
+                            type="submit" 
+                            className="btn-primary"
+                            disabled={isSubmitting}
+                        >
+                            {isSubmitting ? (
+                                <>
+                                    <div className="spinner mr-2 w-4 h-4"></div>
+                                    Saving...
+                                </>
+                            ) : (
+                                primaryLabel
+                            )}
+                        </button>
+                    </div>
+                </form>
+            )}
         </Modal>
     );
 };
 
-const ReadMoreModal = ({ isOpen, onClose, post }) => {
+const RevisionHistory = ({ postId, onNotify, onRestored }) => {
+    const [revisions, setRevisions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [diff, setDiff] = useState(null);
+    const [busyRev, setBusyRev] = useState(null);
+    
+    useEffect(() => {
+        let cancelled = false;
+        
+        const fetchRevisions = async () => {
+            try {
+                setLoading(true);
+                const response = await api.get(`/api/posts/${postId}/revisions`);
+                if (!cancelled) setRevisions(response.data.data);
+            } catch (error) {
+                console.error('Error fetching revisions:', error);
+                onNotify('Could not load revision history.', 'error');
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        
+        fetchRevisions();
+        return () => { cancelled = true; };
+    }, [postId, onNotify]);
+    
+    const handleCompare = async (rev) => {
+        try {
+            setBusyRev(rev);
+            const response = await api.get(`/api/posts/${postId}/revisions/diff`, {
+                params: { from: rev, to: 'current' }
+            });
+            setDiff(response.data.data);
+        } catch (error) {
+            console.error('Error comparing revisions:', error);
+            onNotify('Could not compare revisions.', 'error');
+        } finally {
+            setBusyRev(null);
+        }
+    };
+    
+    const handleRestore = async (rev) => {
+        if (!window.confirm(`Restore revision ${rev}? The current version will be kept in the history.`)) return;
+        
+        try {
+            setBusyRev(rev);
+            await api.post(`/api/posts/${postId}/revisions/${rev}/restore`);
+            onNotify(`Revision ${rev} restored.`, 'success');
+            await onRestored();
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+            const errorMessage = error.response?.data?.message || 'Could not restore revision.';
+            onNotify(`Error: ${errorMessage}`, 'error');
+        } finally {
+            setBusyRev(null);
+        }
+    };
+    
+    if (loading) {
+        return <div className="h-4 skeleton rounded w-1/2"></div>;
+    }
+    
+    if (revisions.length === 0) {
+        return <p className="text-slate-400 text-sm">This post has not been edited yet.</p>;
+    }
+    
+    return (
+        <div className="revision-history">
+            <ul className="revision-list">
+                {revisions.map(revision => (
+                    <li key={revision.rev} className="revision-item">
+                        <div>
+                            <div className="revision-title">
+                                Revision {revision.rev}
+                                <span className="post-date ml-2">
+                                    {new Date(revision.createdAt).toLocaleString("en-US", {
+                                        month: 'short',
+                                        day: 'numeric',
+                                        hour: '2-digit',
+                                        minute: '2-digit'
+                                    })}
+                                </span>
+                            </div>
+                            <p className="text-sm text-slate-400">
+                                {revision.editedBy?.username || revision.editedByName} changed {revision.changedFields.join(', ')}
+                                {revision.note && ` (${revision.note})`}
+                            </p>
+                        </div>
+                        <div className="flex gap-2">
+                            <button 
+                                onClick={() => handleCompare(revision.rev)} 
+                                className="btn-secondary"
+                                disabled={busyRev !== null}
+                            >
+                                Compare
+                            </button>
+                            <button 
+                                onClick={() => handleRestore(revision.rev)} 
+                                className="btn-secondary"
+                                disabled={busyRev !== null}
+                            >
+                                Restore
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+            
+            {diff && (
+                <div className="revision-diff">
+                    <h4 className="font-bold mb-2 text-slate-100">
+                        Revision {diff.from} → current
+                    </h4>
+                    {Object.entries(diff.fields).map(([field, change]) => (
+                        <p key={field} className="text-sm mb-1">
+                            <span className="text-slate-400">{field}:</span>{' '}
+                            <del className="diff-removed">{String(change.from ?? '—')}</del>{' '}
+                            <ins className="diff-added">{String(change.to ?? '—')}</ins>
+                        </p>
+                    ))}
+                    {diff.contentChanged ? (
+                        <pre className="diff-content">
+                            {diff.content.map((part, i) => (
+                                <span key={i} className={`diff-${part.type}`}>{part.value}</span>
+                            ))}
+                        </pre>
+                    ) : (
+                        <p className="text-sm text-slate-400">Content is unchanged.</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const JobFacts = ({ job, postId }) => {
+    const deadline = jobDeadline(job);
+    const rows = [
+        ['Organization', job.organization],
+        ['Location', job.location],
+        ['Vacancies', job.vacancies != null ? job.vacancies.toLocaleString() : null],
+        ['Eligibility', job.eligibility],
+        ['Application Fee', job.fee],
+        ['Application Starts', job.applicationStart ? formatJobDate(job.applicationStart) : null],
+        ['Last Date', job.applicationEnd ? formatJobDate(job.applicationEnd) : null],
+        ['Exam Date', job.examDate ? formatJobDate(job.examDate) : null]
+    ].filter(([, value]) => value);
+    
+    return (
+        <div className="job-facts">
+            <div className="job-facts-header">
+                <h3>
+                    <i className="fas fa-briefcase mr-2"></i>
+                    Job Details
+                </h3>
+                {deadline && <span className={`deadline-badge ${deadline.state}`}>{deadline.label}</span>}
+            </div>
+            <table>
+                <tbody>
+                    {rows.map(([label, value]) => (
+                        <tr key={label}>
+                            <th>{label}</th>
+                            <td>{value}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="job-facts-actions">
+                {job.officialLink && (
+                    <a href={job.officialLink} target="_blank" rel="noopener noreferrer" className="btn-primary">
+                        Official Notification <i className="fas fa-external-link-alt ml-2"></i>
+                    </a>
+                )}
+                {(job.applicationEnd || job.examDate) && (
+                    <a href={`${API_BASE_URL}/api/posts/${postId}/calendar.ics`} download className="btn-secondary">
+                        <i className="fas fa-calendar-plus mr-2"></i>
+                        Add to calendar
+                    </a>
+                )}
+            </div>
+            {(job.applicationEnd || job.examDate) && (
+                <p className="job-facts-subscribe">
+                    Or <a href={calendarFeedUrl()}>subscribe to all upcoming deadlines</a> in your calendar app.
+                </p>
+            )}
+        </div>
+    );
+};
+
+const ReadMoreModal = ({ isOpen, onClose, post, user, onNotify }) => {
     if (!post) return null;
     
     const formattedDate = new Date(post.createdAt).toLocaleDateString("en-US", { 
@@ -686,10 +1798,11 @@ const ReadMoreModal = ({ isOpen, onClose, post }) => {
                                 className="w-full rounded-lg"
                             />
                         ) : (
-                            <img 
-                                src={post.mediaUrl} 
-                                alt={post.title} 
-                                className="w-full rounded-lg" 
+                            <PostImage
+                                key={post.mediaUrl}
+                                post={post}
+                                sizes={MODAL_IMAGE_SIZES}
+                                className="w-full h-auto rounded-lg"
                             />
                         )}
                     </div>
@@ -705,11 +1818,15 @@ const ReadMoreModal = ({ isOpen, onClose, post }) => {
                 
                 <h1 className="text-3xl font-bold mb-6 text-slate-100">{post.title}</h1>
                 
+                {post.job && <JobFacts job={post.job} postId={post._id} />}
+                
                 <div 
                     className="prose prose-invert max-w-none text-slate-300 leading-relaxed" 
                     dangerouslySetInnerHTML={{ __html: post.content }}
                 />
                 
+                {isOpen && <CommentThread postId={post._id} user={user} onNotify={onNotify} />}
+                
                 <div className="mt-8 pt-4 border-t border-slate-700 flex items-center justify-between">
                     <div className="flex items-center gap-4 text-slate-400">
                         <span className="flex items-center gap-1">
@@ -730,16 +1847,1081 @@ const ReadMoreModal = ({ isOpen, onClose, post }) => {
     );
 };
 
-const ConfirmModal = ({ isOpen, onClose, onConfirm }) => (
-    <Modal isOpen={isOpen} onClose={onClose}>
-        <div className="text-center">
-            <div className="w-16 h-16 mx-auto mb-4 bg-red-100 rounded-full flex items-center justify-center">
-                <i className="fas fa-exclamation-triangle text-2xl text-red-600"></i>
+const CommentForm = ({ user, onSubmit, onCancel, compact }) => {
+    const [authorName, setAuthorName] = useState('');
+    const [content, setContent] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (isSubmitting) return;
+        
+        setIsSubmitting(true);
+        try {
+            const saved = await onSubmit({ authorName: authorName.trim(), content: content.trim() });
+            if (saved) setContent('');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+    
+    return (
+        <form onSubmit={handleSubmit} className={`comment-form ${compact ? 'compact' : ''}`}>
+            {!user && (
+                <input 
+                    type="text" 
+                    value={authorName} 
+                    onChange={e => setAuthorName(e.target.value)} 
+                    className="form-input" 
+                    placeholder="Your name" 
+                    maxLength={60}
+                    required 
+                />
+            )}
+            <textarea 
+                rows={compact ? 2 : 3} 
+                value={content} 
+                onChange={e => setContent(e.target.value)} 
+                className="form-textarea" 
+                placeholder={compact ? 'Write a reply...' : 'Ask a question or share your thoughts...'} 
+                maxLength={2000}
+                required 
+            />
+            <div className="flex justify-end gap-2">
+                {onCancel && (
+                    <button type="button" onClick={onCancel} className="btn-secondary" disabled={isSubmitting}>
+                        Cancel
+                    </button>
+                )}
+                <button type="submit" className="btn-primary" disabled={isSubmitting}>
+                    {isSubmitting ? 'Posting...' : compact ? 'Reply' : 'Post Comment'}
+                </button>
             </div>
-            <h3 className="text-xl font-bold mb-2 text-slate-100">Delete Post</h3>
-            <p className="mb-6 text-slate-300">
-                Are you sure you want to delete this post? This action cannot be undone.
-            </p>
+        </form>
+    );
+};
+
+const CommentItem = ({ comment, user, replyingTo, onReply, onSubmitReply }) => {
+    const formattedDate = new Date(comment.createdAt).toLocaleDateString("en-US", { 
+        year: 'numeric', 
+        month: 'short', 
+        day: 'numeric' 
+    });
+    
+    return (
+        <li className="comment">
+            <div className="comment-header">
+                <span className="comment-author">{comment.authorName}</span>
+                <span className="post-date">{formattedDate}</span>
+            </div>
+            <p className="comment-body">{comment.content}</p>
+            <button onClick={() => onReply(comment._id)} className="link-btn text-sm">
+                <i className="fas fa-reply mr-1"></i> Reply
+            </button>
+            
+            {replyingTo === comment._id && (
+                <CommentForm 
+                    user={user} 
+                    compact 
+                    onSubmit={(data) => onSubmitReply({ ...data, parentId: comment._id })} 
+                    onCancel={() => onReply(null)} 
+                />
+            )}
+            
+            {comment.replies?.length > 0 && (
+                <ul className="comment-replies">
+                    {comment.replies.map(reply => (
+                        <CommentItem 
+                            key={reply._id} 
+                            comment={reply} 
+                            user={user} 
+                            replyingTo={replyingTo} 
+                            onReply={onReply} 
+                            onSubmitReply={onSubmitReply} 
+                        />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+};
+
+const CommentThread = ({ postId, user, onNotify }) => {
+    const [comments, setComments] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [replyingTo, setReplyingTo] = useState(null);
+    
+    const fetchComments = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get(`/api/posts/${postId}/comments`);
+            setComments(response.data.data);
+            setTotal(response.data.total);
+        } catch (error) {
+            console.error('Error fetching comments:', error);
+            setComments([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [postId]);
+    
+    useEffect(() => {
+        fetchComments();
+    }, [fetchComments]);
+    
+    const handleSubmit = async (data) => {
+        try {
+            const response = await api.post(`/api/posts/${postId}/comments`, data);
+            onNotify(response.data.message, 'success');
+            setReplyingTo(null);
+            if (response.data.data.status === 'approved') {
+                await fetchComments();
+            }
+            return true;
+        } catch (error) {
+            console.error('Error posting comment:', error);
+            const errorMessage = error.response?.data?.message || 'Could not post comment.';
+            onNotify(`Error: ${errorMessage}`, 'error');
+            return false;
+        }
+    };
+    
+    return (
+        <section className="comments-section">
+            <h3 className="text-xl font-bold mb-4 text-slate-100">
+                <i className="fas fa-comments mr-2"></i>
+                Discussion {total > 0 && `(${total})`}
+            </h3>
+            
+            {loading ? (
+                <div className="h-4 skeleton rounded w-1/2 mb-4"></div>
+            ) : comments.length > 0 ? (
+                <ul className="comment-list">
+                    {comments.map(comment => (
+                        <CommentItem 
+                            key={comment._id} 
+                            comment={comment} 
+                            user={user} 
+                            replyingTo={replyingTo} 
+                            onReply={setReplyingTo} 
+                            onSubmitReply={handleSubmit} 
+                        />
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-slate-400 text-sm mb-4">No comments yet. Be the first to ask a question.</p>
+            )}
+            
+            <CommentForm user={user} onSubmit={handleSubmit} />
+        </section>
+    );
+};
+
+const SubscribeWidget = ({ categories, onNotify }) => {
+    const [email, setEmail] = useState('');
+    const [frequency, setFrequency] = useState('weekly');
+    const [selected, setSelected] = useState([]);
+    const [showOptions, setShowOptions] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    
+    const toggleCategory = (name) => {
+        setSelected(prev => prev.includes(name) ? prev.filter(c => c !== name) : [...prev, name]);
+    };
+    
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (isSubmitting) return;
+        
+        setIsSubmitting(true);
+        try {
+            const response = await api.post('/api/newsletter/subscribe', { email, frequency, categories: selected });
+            onNotify(response.data.message, 'success');
+            setEmail('');
+            setShowOptions(false);
+        } catch (error) {
+            console.error('Error subscribing:', error);
+            onNotify(error.response?.data?.message || 'Could not subscribe. Please try again.', 'error');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+    
+    return (
+        <form onSubmit={handleSubmit} className="subscribe-widget">
+            <div className="subscribe-row">
+                <input 
+                    type="email" 
+                    value={email} 
+                    onChange={e => setEmail(e.target.value)} 
+                    className="form-input" 
+                    placeholder="Get new posts by email" 
+                    required 
+                />
+                <button type="submit" className="btn-primary" disabled={isSubmitting}>
+                    {isSubmitting ? <i className="fas fa-spinner fa-spin"></i> : 'Subscribe'}
+                </button>
+            </div>
+            <button type="button" onClick={() => setShowOptions(prev => !prev)} className="link-btn">
+                {showOptions ? 'Hide options' : `${frequency === 'daily' ? 'Daily' : 'Weekly'} digest, ${selected.length ? `${selected.length} categories` : 'all categories'}`}
+            </button>
+            {showOptions && (
+                <div className="subscribe-options">
+                    <select value={frequency} onChange={e => setFrequency(e.target.value)} className="form-select status-filter">
+                        <option value="daily">Daily digest</option>
+                        <option value="weekly">Weekly digest</option>
+                    </select>
+                    <div className="subscribe-categories">
+                        {categories.map(category => (
+                            <label key={category.name}>
+                                <input 
+                                    type="checkbox" 
+                                    checked={selected.includes(category.name)} 
+                                    onChange={() => toggleCategory(category.name)} 
+                                />
+                                {category.label}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </form>
+    );
+};
+
+// VAPID public keys are URL-safe base64; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (value) => {
+    const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(window.atob(base64), char => char.charCodeAt(0));
+};
+
+const PushToggle = ({ categories, onNotify }) => {
+    const supported = 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    const [subscription, setSubscription] = useState(null);
+    const [selected, setSelected] = useLocalStorage('pushCategories', []);
+    const [showOptions, setShowOptions] = useState(false);
+    const [isWorking, setIsWorking] = useState(false);
+    
+    useEffect(() => {
+        if (!supported) return;
+        navigator.serviceWorker.ready
+            .then(registration => registration.pushManager.getSubscription())
+            .then(setSubscription)
+            .catch(error => console.warn('Could not read push subscription:', error));
+    }, [supported]);
+    
+    if (!supported) return null;
+    
+    const saveSubscription = async (pushSubscription, categoryNames) => {
+        const response = await api.post('/api/push/subscribe', {
+            subscription: pushSubscription.toJSON(),
+            categories: categoryNames
+        });
+        onNotify(response.data.message, 'success');
+    };
+    
+    const enable = async () => {
+        setIsWorking(true);
+        try {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                onNotify('Notifications are blocked. Allow them in your browser settings to turn them on.', 'error');
+                return;
+            }
+            
+            const { data } = await api.get('/api/push/public-key');
+            const registration = await navigator.serviceWorker.ready;
+            const pushSubscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(data.data.publicKey)
+            });
+            await saveSubscription(pushSubscription, selected);
+            setSubscription(pushSubscription);
+        } catch (error) {
+            console.error('Error enabling notifications:', error);
+            onNotify(error.response?.data?.message || 'Could not turn on notifications.', 'error');
+        } finally {
+            setIsWorking(false);
+        }
+    };
+    
+    const disable = async () => {
+        setIsWorking(true);
+        try {
+            await api.post('/api/push/unsubscribe', { endpoint: subscription.endpoint });
+            await subscription.unsubscribe();
+            setSubscription(null);
+            setShowOptions(false);
+            onNotify('Notifications turned off', 'info');
+        } catch (error) {
+            console.error('Error disabling notifications:', error);
+            onNotify('Could not turn off notifications.', 'error');
+        } finally {
+            setIsWorking(false);
+        }
+    };
+    
+    const toggleCategory = async (name) => {
+        const next = selected.includes(name) ? selected.filter(c => c !== name) : [...selected, name];
+        setSelected(next);
+        if (!subscription) return;
+        try {
+            await saveSubscription(subscription, next);
+        } catch (error) {
+            console.error('Error updating notification preferences:', error);
+            onNotify('Could not update notification preferences.', 'error');
+        }
+    };
+    
+    return (
+        <div className="push-toggle">
+            {subscription ? (
+                <>
+                    <span className="push-status">
+                        <i className="fas fa-bell mr-2"></i>
+                        Notifications on
+                    </span>
+                    <button type="button" onClick={() => setShowOptions(prev => !prev)} className="link-btn">
+                        {showOptions ? 'Done' : 'Choose categories'}
+                    </button>
+                    <button type="button" onClick={disable} className="link-btn" disabled={isWorking}>
+                        Turn off
+                    </button>
+                </>
+            ) : (
+                <button type="button" onClick={enable} className="btn-secondary" disabled={isWorking}>
+                    <i className={`fas ${isWorking ? 'fa-spinner fa-spin' : 'fa-bell'} mr-2`}></i>
+                    Notify me about new posts
+                </button>
+            )}
+            {showOptions && subscription && (
+                <div className="subscribe-categories">
+                    {categories.map(category => (
+                        <label key={category.name}>
+                            <input 
+                                type="checkbox" 
+                                checked={selected.includes(category.name)} 
+                                onChange={() => toggleCategory(category.name)} 
+                            />
+                            {category.label}
+                        </label>
+                    ))}
+                    {selected.length === 0 && (
+                        <span className="push-hint">No categories picked: you get every new post.</span>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const LoginModal = ({ isOpen, onClose, onSubmit }) => {
+    const [mode, setMode] = useState('login');
+    const [formData, setFormData] = useState({ username: '', email: '', password: '' });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    
+    useEffect(() => {
+        if (isOpen) {
+            setMode('login');
+            setFormData({ username: '', email: '', password: '' });
+        }
+    }, [isOpen]);
+    
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+    
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (isSubmitting) return;
+        
+        setIsSubmitting(true);
+        const credentials = mode === 'login'
+            ? { username: formData.username.trim(), password: formData.password }
+            : { username: formData.username.trim(), email: formData.email.trim(), password: formData.password };
+        
+        try {
+            await onSubmit(credentials, mode);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+    
+    return (
+        <Modal 
+            isOpen={isOpen} 
+            onClose={onClose}
+            title={mode === 'login' ? 'Log In' : 'Create Account'}
+        >
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="form-group">
+                    <label className="form-label">
+                        {mode === 'login' ? 'Username or Email *' : 'Username *'}
+                    </label>
+                    <input 
+                        type="text" 
+                        name="username"
+                        value={formData.username} 
+                        onChange={handleInputChange} 
+                        className="form-input" 
+                        required 
+                        autoComplete="username"
+                    />
+                </div>
+                
+                {mode === 'register' && (
+                    <div className="form-group">
+                        <label className="form-label">Email *</label>
+                        <input 
+                            type="email" 
+                            name="email"
+                            value={formData.email} 
+                            onChange={handleInputChange} 
+                            className="form-input" 
+                            required 
+                            autoComplete="email"
+                        />
+                    </div>
+                )}
+                
+                <div className="form-group">
+                    <label className="form-label">Password *</label>
+                    <input 
+                        type="password" 
+                        name="password"
+                        value={formData.password} 
+                        onChange={handleInputChange} 
+                        className="form-input" 
+                        required 
+                        minLength={mode === 'register' ? 8 : undefined}
+                        autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+                    />
+                </div>
+                
+                <p className="text-sm text-slate-400">
+                    {mode === 'login' ? "Don't have an account? " : 'Already have an account? '}
+                    <button 
+                        type="button" 
+                        className="link-btn"
+                        onClick={() => setMode(mode === 'login' ? 'register' : 'login')}
+                    >
+                        {mode === 'login' ? 'Sign up' : 'Log in'}
+                    </button>
+                </p>
+                
+                <div className="flex justify-end gap-4 pt-4">
+                    <button 
+                        type="button" 
+                        onClick={onClose} 
+                        className="btn-secondary"
+                        disabled={isSubmitting}
+                    >
+                        Cancel
+                    </button>
+                    <button 
+                        type="submit" 
+                        className="btn-primary"
+                        disabled={isSubmitting}
+                    >
+                        {isSubmitting ? (
+                            <>
+                                <div className="spinner mr-2 w-4 h-4"></div>
+                                Please wait...
+                            </>
+                        ) : (
+                            mode === 'login' ? 'Log In' : 'Create Account'
+                        )}
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+// --- Admin Dashboard ---
+const HEALTH_POLL_MS = 10000;
+const STATS_RANGES = [7, 30, 90];
+const ADMIN_PAGE_SIZE = 50;
+
+const formatUptime = (seconds) => {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return days > 0 ? `${days}d ${hours}h` : hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+const utcDay = (daysAgo) => new Date(Date.now() - daysAgo * 86400000).toISOString().slice(0, 10);
+
+// Polls /api/health so problems show up while the dashboard is open
+const HealthPanel = () => {
+    const [health, setHealth] = useState(null);
+    const [error, setError] = useState(null);
+    const [checkedAt, setCheckedAt] = useState(null);
+    
+    useEffect(() => {
+        let cancelled = false;
+        const check = async () => {
+            try {
+                const response = await api.get('/api/health');
+                if (cancelled) return;
+                setHealth(response.data);
+                setError(null);
+            } catch (err) {
+                if (cancelled) return;
+                setError(err.response?.data?.message || 'Server unreachable');
+            }
+            setCheckedAt(new Date());
+        };
+        
+        check();
+        const timer = setInterval(check, HEALTH_POLL_MS);
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, []);
+    
+    const memory = health?.system?.memory;
+    const memoryPercent = memory?.total ? Math.round((memory.used / memory.total) * 100) : 0;
+    
+    return (
+        <section className="admin-panel">
+            <div className="admin-panel-header">
+                <h2><i className="fas fa-heartbeat mr-2"></i>Health</h2>
+                {checkedAt && <span className="admin-muted">Checked {checkedAt.toLocaleTimeString()}</span>}
+            </div>
+            {error ? (
+                <p className="health-item down"><i className="fas fa-times-circle mr-2"></i>{error}</p>
+            ) : !health ? (
+                <p className="admin-muted">Checking…</p>
+            ) : (
+                <div className="health-grid">
+                    <div className={`health-item ${health.database === 'connected' ? 'up' : 'down'}`}>
+                        <span className="health-label">Database</span>
+                        <span>{health.database}</span>
+                    </div>
+                    <div className={`health-item ${health.uploads === 'available' ? 'up' : 'down'}`}>
+                        <span className="health-label">Uploads</span>
+                        <span>{health.uploads}</span>
+                    </div>
+                    <div className="health-item">
+                        <span className="health-label">Memory</span>
+                        <span>{memory.used} / {memory.total} MB</span>
+                        <div className="meter"><div style={{ width: `${memoryPercent}%` }}></div></div>
+                    </div>
+                    <div className="health-item">
+                        <span className="health-label">Uptime</span>
+                        <span>{formatUptime(health.system.uptime)}</span>
+                        <span className="admin-muted">Node {health.system.nodeVersion} · {health.environment}</span>
+                    </div>
+                </div>
+            )}
+        </section>
+    );
+};
+
+// Minimal SVG line chart; series is [{ date, [key]: number }]
+const LineChart = ({ series, lines }) => {
+    const width = 600;
+    const height = 180;
+    const max = Math.max(1, ...series.flatMap(point => lines.map(line => point[line.key])));
+    const x = (index) => (series.length > 1 ? (index / (series.length - 1)) * width : width / 2);
+    const y = (value) => height - (value / max) * (height - 10);
+    
+    return (
+        <div className="line-chart">
+            <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" role="img" aria-label={lines.map(line => line.label).join(' and ') + ' per day'}>
+                {lines.map(line => (
+                    <polyline
+                        key={line.key}
+                        fill="none"
+                        stroke={line.color}
+                        strokeWidth="2"
+                        vectorEffect="non-scaling-stroke"
+                        points={series.map((point, index) => `${x(index)},${y(point[line.key])}`).join(' ')}
+                    />
+                ))}
+            </svg>
+            <div className="chart-axis">
+                <span>{series[0]?.date}</span>
+                <span>max {max.toLocaleString()}</span>
+                <span>{series[series.length - 1]?.date}</span>
+            </div>
+            <div className="chart-legend">
+                {lines.map(line => (
+                    <span key={line.key}><i style={{ background: line.color }}></i>{line.label}</span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const BarList = ({ items }) => {
+    const max = Math.max(1, ...items.map(item => item.value));
+    return (
+        <ul className="bar-list">
+            {items.map(item => (
+                <li key={item.label}>
+                    <span className="bar-label">{item.label}</span>
+                    <span className="bar-track"><span style={{ width: `${(item.value / max) * 100}%` }}></span></span>
+                    <span className="bar-value">{item.value.toLocaleString()}</span>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+const StatsPanel = ({ categories, version }) => {
+    const [days, setDays] = useState(30);
+    const [stats, setStats] = useState(null);
+    
+    useEffect(() => {
+        Promise.all([
+            api.get('/api/stats'),
+            api.get('/api/stats/analytics', { params: { from: utcDay(days - 1), to: utcDay(0) } })
+        ])
+            .then(([totals, analytics]) => setStats({ ...totals.data.data, ...analytics.data.data }))
+            .catch(error => console.error('Error fetching stats:', error));
+    }, [days, version]);
+    
+    if (!stats) return <section className="admin-panel"><p className="admin-muted">Loading statistics…</p></section>;
+    
+    const labelFor = (name) => categories.find(c => c.name === name)?.label || name;
+    const sum = (key) => stats.series.reduce((total, day) => total + day[key], 0);
+    
+    return (
+        <section className="admin-panel">
+            <div className="admin-panel-header">
+                <h2><i className="fas fa-chart-line mr-2"></i>Activity</h2>
+                <select value={days} onChange={e => setDays(Number(e.target.value))} className="form-select">
+                    {STATS_RANGES.map(range => <option key={range} value={range}>Last {range} days</option>)}
+                </select>
+            </div>
+            <div className="stat-tiles">
+                <div><strong>{stats.totalPosts.toLocaleString()}</strong><span>published posts</span></div>
+                <div><strong>{sum('views').toLocaleString()}</strong><span>views ({stats.totalViews.toLocaleString()} all time)</span></div>
+                <div><strong>{sum('likes').toLocaleString()}</strong><span>likes ({stats.totalLikes.toLocaleString()} all time)</span></div>
+                <div><strong>{sum('comments').toLocaleString()}</strong><span>comments{stats.comments && ` (${stats.comments.pending} pending)`}</span></div>
+            </div>
+            <LineChart
+                series={stats.series}
+                lines={[
+                    { key: 'views', label: 'Views', color: '#3b82f6' },
+                    { key: 'likes', label: 'Likes', color: '#ef4444' }
+                ]}
+            />
+            <div className="admin-columns">
+                <div>
+                    <h3>Posts per category</h3>
+                    <BarList items={stats.categories.map(c => ({ label: labelFor(c._id), value: c.count }))} />
+                </div>
+                <div>
+                    <h3>Views per category</h3>
+                    <BarList items={stats.categoryViews.map(c => ({ label: labelFor(c.category), value: c.views }))} />
+                </div>
+                <div>
+                    <h3>Top referrers</h3>
+                    <BarList items={stats.referrers.map(r => ({ label: r.referrer, value: r.views }))} />
+                </div>
+            </div>
+        </section>
+    );
+};
+
+const ADMIN_COLUMNS = [
+    { key: 'title', label: 'Title' },
+    { key: 'category', label: 'Category' },
+    { key: 'status', label: 'Status' },
+    { key: 'views', label: 'Views' },
+    { key: 'likes', label: 'Likes' },
+    { key: 'createdAt', label: 'Created' }
+];
+
+// Every post, including drafts and deactivated ones, with bulk actions on the selection
+const AdminPostsTable = ({ user, categories, version, onEdit, onChanged, onNotify }) => {
+    const [search, setSearch] = useState('');
+    const [category, setCategory] = useState('all');
+    const [status, setStatus] = useState('all');
+    const [active, setActive] = useState('all');
+    const [sort, setSort] = useState({ by: 'createdAt', order: 'desc' });
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ posts: [], pagination: null });
+    const [loading, setLoading] = useState(true);
+    const [selected, setSelected] = useState(() => new Set());
+    const [bulkCategory, setBulkCategory] = useState('');
+    const [working, setWorking] = useState(false);
+    const [confirmingDelete, setConfirmingDelete] = useState(false);
+    const debouncedSearch = useDebouncedValue(search.trim(), 300);
+    
+    const fetchPage = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/api/posts', {
+                params: {
+                    status,
+                    active,
+                    page,
+                    limit: ADMIN_PAGE_SIZE,
+                    sortBy: sort.by,
+                    sortOrder: sort.order,
+                    category: category !== 'all' ? category : undefined,
+                    search: debouncedSearch || undefined
+                }
+            });
+            setResult({ posts: response.data.data, pagination: response.data.pagination });
+        } catch (error) {
+            console.error('Error fetching posts:', error);
+            onNotify(error.response?.data?.message || 'Could not load posts.', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [status, active, page, sort, category, debouncedSearch, onNotify]);
+    
+    useEffect(() => {
+        fetchPage();
+    }, [fetchPage, version]);
+    
+    // Changing a filter, the sort or the page starts over with nothing selected
+    const resetting = (setter) => (value) => {
+        setter(value);
+        setPage(1);
+        setSelected(new Set());
+    };
+    
+    const goToPage = (next) => {
+        setPage(next);
+        setSelected(new Set());
+    };
+    
+    const toggleSort = (key) => resetting(setSort)(current => current.by === key
+        ? { by: key, order: current.order === 'asc' ? 'desc' : 'asc' }
+        : { by: key, order: key === 'title' || key === 'category' ? 'asc' : 'desc' });
+    
+    const toggleSelected = (id) => setSelected(current => {
+        const next = new Set(current);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        return next;
+    });
+    
+    const allSelected = result.posts.length > 0 && result.posts.every(post => selected.has(post._id));
+    const toggleAll = () => setSelected(allSelected ? new Set() : new Set(result.posts.map(post => post._id)));
+    
+    const runBatch = async (action, extra = {}) => {
+        setWorking(true);
+        try {
+            const response = await api.post('/api/posts/batch', { ids: [...selected], action, ...extra });
+            onNotify(response.data.message, response.data.success ? 'success' : 'info');
+        } catch (error) {
+            console.error('Error applying batch action:', error);
+            onNotify(error.response?.data?.message || 'Could not apply the action.', 'error');
+        } finally {
+            setWorking(false);
+            setSelected(new Set());
+            fetchPage();
+            onChanged();
+        }
+    };
+    
+    const labelFor = (name) => categories.find(c => c.name === name)?.label || name;
+    const pagination = result.pagination;
+    
+    return (
+        <section className="admin-panel">
+            <div className="admin-panel-header">
+                <h2><i className="fas fa-list mr-2"></i>Posts</h2>
+                {pagination && <span className="admin-muted">{pagination.totalPosts.toLocaleString()} posts</span>}
+            </div>
+            
+            <div className="admin-filters">
+                <input
+                    type="text"
+                    placeholder="Search titles and content"
+                    className="form-input"
+                    value={search}
+                    onChange={e => resetting(setSearch)(e.target.value)}
+                />
+                <select value={category} onChange={e => resetting(setCategory)(e.target.value)} className="form-select">
+                    <option value="all">All categories</option>
+                    {categories.map(c => <option key={c.name} value={c.name}>{c.label}</option>)}
+                </select>
+                <select value={status} onChange={e => resetting(setStatus)(e.target.value)} className="form-select">
+                    <option value="all">All statuses</option>
+                    <option value="published">Published</option>
+                    <option value="draft">Drafts</option>
+                    <option value="scheduled">Scheduled</option>
+                    <option value="archived">Archived</option>
+                </select>
+                <select value={active} onChange={e => resetting(setActive)(e.target.value)} className="form-select">
+                    <option value="all">Including trash</option>
+                    <option value="true">Not in trash</option>
+                    <option value="false">In trash only</option>
+                </select>
+            </div>
+            
+            {selected.size > 0 && (
+                <div className="bulk-bar">
+                    <span>{selected.size} selected</span>
+                    <button onClick={() => runBatch('deactivate')} className="btn-secondary" disabled={working}>
+                        <i className="fas fa-trash-alt mr-2"></i>Move to trash
+                    </button>
+                    <button onClick={() => runBatch('activate')} className="btn-secondary" disabled={working}>
+                        <i className="fas fa-undo mr-2"></i>Restore
+                    </button>
+                    <select value={bulkCategory} onChange={e => setBulkCategory(e.target.value)} className="form-select">
+                        <option value="">Move to category…</option>
+                        {categories.map(c => <option key={c.name} value={c.name}>{c.label}</option>)}
+                    </select>
+                    <button
+                        onClick={() => runBatch('category', { category: bulkCategory })}
+                        className="btn-secondary"
+                        disabled={working || !bulkCategory}
+                    >
+                        Move
+                    </button>
+                    {can(user, 'post:delete:force') && (
+                        <button 
+                            onClick={() => setConfirmingDelete(true)} 
+                            className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg font-semibold transition-colors" 
+                            disabled={working}
+                        >
+                            <i className="fas fa-trash mr-2"></i>Delete permanently
+                        </button>
+                    )}
+                </div>
+            )}
+            
+            <div className="admin-table-wrapper">
+                <table className="admin-table">
+                    <thead>
+                        <tr>
+                            <th>
+                                <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all posts on this page" />
+                            </th>
+                            {ADMIN_COLUMNS.map(column => (
+                                <th key={column.key}>
+                                    <button onClick={() => toggleSort(column.key)} className="sort-btn">
+                                        {column.label}
+                                        {sort.by === column.key && (
+                                            <i className={`fas fa-sort-${sort.order === 'asc' ? 'up' : 'down'} ml-1`}></i>
+                                        )}
+                                    </button>
+                                </th>
+                            ))}
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {result.posts.map(post => (
+                            <tr key={post._id} className={post.isActive ? '' : 'inactive'}>
+                                <td>
+                                    <input
+                                        type="checkbox"
+                                        checked={selected.has(post._id)}
+                                        onChange={() => toggleSelected(post._id)}
+                                        aria-label={`Select ${post.title}`}
+                                    />
+                                </td>
+                                <td className="admin-title">
+                                    {post.slug && post.isActive && (post.status || 'published') === 'published' ? (
+                                        <a href={`/posts/${post.slug}`} target="_blank" rel="noopener noreferrer">{post.title}</a>
+                                    ) : post.title}
+                                    {!post.isActive && <span className="status-badge archived">in trash</span>}
+                                </td>
+                                <td>{labelFor(post.category)}</td>
+                                <td><span className={`status-badge ${post.status || 'published'}`}>{post.status || 'published'}</span></td>
+                                <td>{post.views.toLocaleString()}</td>
+                                <td>{post.likes.toLocaleString()}</td>
+                                <td>{new Date(post.createdAt).toLocaleDateString()}</td>
+                                <td>
+                                    {canModifyPost(user, post, 'edit') && (
+                                        <button onClick={() => onEdit(post)} className="link-btn" title="Edit post">
+                                            <i className="fas fa-edit"></i>
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {!loading && result.posts.length === 0 && <p className="admin-muted text-center py-6">No posts match these filters.</p>}
+            </div>
+            
+            {pagination && pagination.totalPages > 1 && (
+                <div className="admin-pagination">
+                    <button onClick={() => goToPage(page - 1)} className="btn-secondary" disabled={page <= 1 || loading}>Previous</button>
+                    <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+                    <button onClick={() => goToPage(page + 1)} className="btn-secondary" disabled={!pagination.hasMore || loading}>Next</button>
+                </div>
+            )}
+            
+            <ConfirmModal
+                isOpen={confirmingDelete}
+                onClose={() => setConfirmingDelete(false)}
+                onConfirm={() => {
+                    setConfirmingDelete(false);
+                    runBatch('delete');
+                }}
+                count={selected.size}
+                permanent
+            />
+        </section>
+    );
+};
+
+// Soft-deleted posts with the days left before the retention job purges them
+const TrashPanel = ({ user, version, onChanged, onNotify }) => {
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ posts: [], pagination: null, retentionDays: 0 });
+    const [loading, setLoading] = useState(true);
+    const [restoring, setRestoring] = useState(null);
+    
+    const fetchTrash = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/api/posts/trash', { params: { page, limit: ADMIN_PAGE_SIZE } });
+            setResult({
+                posts: response.data.data,
+                pagination: response.data.pagination,
+                retentionDays: response.data.retentionDays
+            });
+        } catch (error) {
+            console.error('Error fetching trash:', error);
+            onNotify(error.response?.data?.message || 'Could not load the trash.', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [page, onNotify]);
+    
+    useEffect(() => {
+        fetchTrash();
+    }, [fetchTrash, version]);
+    
+    const restore = async (post) => {
+        setRestoring(post._id);
+        try {
+            const response = await api.post(`/api/posts/${post._id}/restore`);
+            onNotify(response.data.message, 'success');
+            onChanged();
+        } catch (error) {
+            console.error('Error restoring post:', error);
+            onNotify(error.response?.data?.message || 'Could not restore the post.', 'error');
+        } finally {
+            setRestoring(null);
+        }
+    };
+    
+    const daysLeft = (post) => Math.max(0, Math.ceil((new Date(post.purgeAt) - Date.now()) / (24 * 60 * 60 * 1000)));
+    const pagination = result.pagination;
+    
+    return (
+        <section className="admin-panel">
+            <div className="admin-panel-header">
+                <h2><i className="fas fa-trash-alt mr-2"></i>Trash</h2>
+                <span className="admin-muted">
+                    {result.retentionDays
+                        ? `Posts are deleted permanently ${result.retentionDays} days after they are trashed`
+                        : 'Trashed posts are kept until deleted permanently'}
+                </span>
+            </div>
+            
+            {result.posts.length > 0 && (
+                <ul className="trash-list">
+                    {result.posts.map(post => (
+                        <li key={post._id} className="trash-item">
+                            <div className="trash-item-info">
+                                <span className="admin-title">{post.title}</span>
+                                <span className="admin-muted">
+                                    {post.deletedAt && `Trashed ${new Date(post.deletedAt).toLocaleDateString()}`}
+                                    {post.author?.username && ` · by ${post.author.username}`}
+                                </span>
+                            </div>
+                            {post.purgeAt && (
+                                <span className={`trash-days-left ${daysLeft(post) <= 3 ? 'soon' : ''}`}>
+                                    {daysLeft(post) === 0 ? 'Deleted soon' : `${daysLeft(post)} day${daysLeft(post) === 1 ? '' : 's'} left`}
+                                </span>
+                            )}
+                            {canModifyPost(user, post, 'delete') && (
+                                <button onClick={() => restore(post)} className="btn-secondary" disabled={restoring === post._id}>
+                                    <i className="fas fa-undo mr-2"></i>Restore
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {!loading && result.posts.length === 0 && <p className="admin-muted text-center py-6">The trash is empty.</p>}
+            
+            {pagination && pagination.totalPages > 1 && (
+                <div className="admin-pagination">
+                    <button onClick={() => setPage(page - 1)} className="btn-secondary" disabled={page <= 1 || loading}>Previous</button>
+                    <span>Page {pagination.currentPage} of {pagination.totalPages}</span>
+                    <button onClick={() => setPage(page + 1)} className="btn-secondary" disabled={!pagination.hasMore || loading}>Next</button>
+                </div>
+            )}
+        </section>
+    );
+};
+
+const AdminDashboard = ({ user, categories, version, onEdit, onChanged, onNotify, onLogin }) => {
+    if (!can(user, 'post:edit:any')) {
+        return (
+            <div className="empty-state">
+                <div className="empty-icon"><i className="fas fa-lock"></i></div>
+                <h3 className="empty-title">Editors only</h3>
+                <p className="empty-message">Log in with an editor or admin account to use the dashboard.</p>
+                {!user && <button onClick={onLogin} className="btn-primary mt-4">Log In</button>}
+            </div>
+        );
+    }
+    
+    return (
+        <div className="admin-dashboard">
+            <HealthPanel />
+            <StatsPanel categories={categories} version={version} />
+            <AdminPostsTable
+                user={user}
+                categories={categories}
+                version={version}
+                onEdit={onEdit}
+                onChanged={onChanged}
+                onNotify={onNotify}
+            />
+            <TrashPanel user={user} version={version} onChanged={onChanged} onNotify={onNotify} />
+        </div>
+    );
+};
+
+// count > 1 confirms a batch delete from the dashboard, which is always permanent.
+// canRestore: the user can reach the dashboard's trash to undo a soft delete themselves
+const ConfirmModal = ({ isOpen, onClose, onConfirm, allowPermanent, permanent, onPermanentChange, canRestore, count = 1 }) => (
+    <Modal isOpen={isOpen} onClose={onClose}>
+        <div className="text-center">
+            <div className="w-16 h-16 mx-auto mb-4 bg-red-100 rounded-full flex items-center justify-center">
+                <i className="fas fa-exclamation-triangle text-2xl text-red-600"></i>
+            </div>
+            <h3 className="text-xl font-bold mb-2 text-slate-100">{count > 1 ? `Delete ${count} Posts` : 'Delete Post'}</h3>
+            <p className="mb-6 text-slate-300">
+                {count > 1
+                    ? `Are you sure you want to permanently delete these ${count} posts, including their media? This action cannot be undone.`
+                    : permanent
+                    ? 'Are you sure you want to permanently delete this post? This action cannot be undone.'
+                    : canRestore
+                    ? 'The post will be moved to the trash. It can be restored from the dashboard until the trash is emptied.'
+                    : 'The post will be moved to the trash. An editor can restore it until the trash is emptied.'}
+            </p>
+            
+            {allowPermanent && (
+                <label className="flex items-center justify-center gap-2 mb-6 text-slate-400 text-sm">
+                    <input 
+                        type="checkbox" 
+                        checked={permanent} 
+                        onChange={e => onPermanentChange(e.target.checked)} 
+                    />
+                    Delete permanently, including uploaded media
+                </label>
+            )}
             
             <div className="flex justify-center gap-4">
                 <button 
@@ -752,7 +2934,7 @@ const ConfirmModal = ({ isOpen, onClose, onConfirm }) => (
                     onClick={onConfirm} 
                     className="bg-red-600 hover:bg-red-700 text-white px-6 py-2 rounded-lg font-semibold transition-colors"
                 >
-                    Delete Post
+                    {permanent ? 'Delete Permanently' : 'Move to Trash'}
                 </button>
             </div>
         </div>
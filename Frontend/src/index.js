@@ -108,6 +108,15 @@ root.render(
   </React.StrictMode>
 );
 
+// Service worker receives Web Push notifications for new posts
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  });
+}
+
 // Hot reload support for development
 if (module.hot) {
   module.hot.accept('./App', () => {
@@ -0,0 +1,84 @@
+// --- iCalendar Export ---
+// Serializer for RFC 5545 calendars. Takes { name, description, url, events: [{ uid, summary,
+//   description, url, date, allDay, alarm }] } where all-day events use the server's local date
+
+// Commas, semicolons, backslashes and newlines must be escaped inside TEXT values
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const buildEvent = (event, stamp) => {
+  const start = event.date;
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    event.allDay ? `DTSTART;VALUE=DATE:${formatDate(start)}` : `DTSTART:${formatDateTime(start)}`,
+    event.allDay ? `DTEND;VALUE=DATE:${formatDate(end)}` : null,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description ? `DESCRIPTION:${escapeText(event.description)}` : null,
+    event.url ? `URL:${event.url}` : null,
+    'TRANSP:TRANSPARENT',
+    ...(event.alarm ? [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      `TRIGGER:${event.alarm}`,
+      'END:VALARM'
+    ] : []),
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+const buildCalendar = (calendar) => {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(calendar.name)}//Deadlines//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendar.name)}`,
+    calendar.description ? `X-WR-CALDESC:${escapeText(calendar.description)}` : null,
+    calendar.url ? `URL:${calendar.url}` : null,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+    ...calendar.events.flatMap(event => buildEvent(event, stamp)),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { buildCalendar };
@@ -0,0 +1,17 @@
+// --- Content Rendering ---
+// Posts are written as HTML or Markdown; both are stored as sanitized HTML
+const { marked } = require('marked');
+const { sanitizeContent } = require('./sanitize');
+
+const CONTENT_FORMATS = ['html', 'markdown'];
+
+// Markdown is converted to HTML first, so both formats go through the same sanitize policy.
+// Returns sanitizeContent's { html, removed }
+const renderPostContent = (format, source) => {
+  const html = format === 'markdown'
+    ? marked.parse(source || '', { gfm: true, breaks: true })
+    : source;
+  return sanitizeContent(html);
+};
+
+module.exports = { CONTENT_FORMATS, renderPostContent };
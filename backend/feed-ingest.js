@@ -0,0 +1,171 @@
+// --- Feed Ingestion ---
+// Parses RSS/Atom sources and maps their entries to post fields through per-source rules:
+//   { category, tags, status, titleRewrites: [{ pattern, replacement, flags }], contentTemplate }
+const crypto = require('crypto');
+const Parser = require('rss-parser');
+
+const FEED_POST_STATUSES = ['draft', 'published'];
+const MAX_TITLE_REWRITES = 10;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_TEMPLATE_LENGTH = 5000;
+const TITLE_MAX_LENGTH = 200;
+const FEED_MAX_ENTRIES = 50; // Newest entries considered per fetch
+
+// {{content}} is inserted as HTML (the post sanitizer cleans it); every other placeholder is escaped
+const DEFAULT_CONTENT_TEMPLATE = '{{content}}\n<p><a href="{{link}}">Read the original announcement</a></p>';
+const TEMPLATE_PLACEHOLDERS = ['title', 'link', 'content', 'summary', 'author', 'date', 'source'];
+
+const parser = new Parser({
+  customFields: { item: [['content:encoded', 'contentEncoded'], ['description', 'description']] }
+});
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const parseFeed = (xml) => parser.parseString(xml);
+
+// RSS <guid>, Atom <id>, then the link; entries with none of those get a hash of title and date
+const entryGuid = (entry) => {
+  const guid = entry.guid?._ || entry.guid || entry.id || entry.link;
+  if (typeof guid === 'string' && guid.trim()) return guid.trim();
+  return 'sha1:' + crypto.createHash('sha1').update(`${entry.title || ''}|${entry.isoDate || entry.pubDate || ''}`).digest('hex');
+};
+
+const entryDate = (entry) => {
+  const date = new Date(entry.isoDate || entry.pubDate || '');
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Validates rules from an admin request; returns { rules } or { error }. Category existence is checked by the caller
+const parseFeedRules = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'rules must be an object' };
+
+  const category = String(input.category || '').trim();
+  if (!category) return { error: 'rules.category is required' };
+
+  const status = input.status || 'draft';
+  if (!FEED_POST_STATUSES.includes(status)) {
+    return { error: 'rules.status must be one of: ' + FEED_POST_STATUSES.join(', ') };
+  }
+
+  const titleRewrites = input.titleRewrites || [];
+  if (!Array.isArray(titleRewrites) || titleRewrites.length > MAX_TITLE_REWRITES) {
+    return { error: `rules.titleRewrites must be an array of at most ${MAX_TITLE_REWRITES} rewrites` };
+  }
+  for (const rewrite of titleRewrites) {
+    const pattern = String(rewrite?.pattern || '');
+    if (!pattern || pattern.length > MAX_PATTERN_LENGTH) {
+      return { error: `Each title rewrite needs a pattern of at most ${MAX_PATTERN_LENGTH} characters` };
+    }
+    if (rewrite.flags && !/^[gimsuy]*$/.test(rewrite.flags)) return { error: `Invalid regex flags "${rewrite.flags}"` };
+    try {
+      new RegExp(pattern, rewrite.flags || '');
+    } catch (error) {
+      return { error: `Invalid title pattern "${pattern}": ${error.message}` };
+    }
+  }
+
+  const contentTemplate = input.contentTemplate ? String(input.contentTemplate) : '';
+  if (contentTemplate.length > MAX_TEMPLATE_LENGTH) {
+    return { error: `rules.contentTemplate cannot exceed ${MAX_TEMPLATE_LENGTH} characters` };
+  }
+
+  return {
+    rules: {
+      category,
+      tags: input.tags || [],
+      status,
+      titleRewrites: titleRewrites.map(({ pattern, replacement, flags }) => ({
+        pattern: String(pattern),
+        replacement: String(replacement ?? ''),
+        flags: flags || ''
+      })),
+      contentTemplate: contentTemplate || undefined
+    }
+  };
+};
+
+// Rewrites run in order; a rewrite that empties the title is ignored
+const rewriteTitle = (title, rewrites = []) => {
+  let result = title;
+  for (const { pattern, replacement, flags } of rewrites) {
+    const next = result.replace(new RegExp(pattern, flags || ''), replacement).replace(/\s+/g, ' ').trim();
+    if (next) result = next;
+  }
+  return result.length > TITLE_MAX_LENGTH ? result.slice(0, TITLE_MAX_LENGTH - 1).trimEnd() + '…' : result;
+};
+
+const renderTemplate = (template, values) => template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+  if (!TEMPLATE_PLACEHOLDERS.includes(name)) return match;
+  return name === 'content' ? values.content : escapeHtml(values[name]);
+});
+
+// Maps one parsed entry to the item shape bulk ingestion accepts
+const mapEntry = (entry, rules, sourceName) => {
+  const originalTitle = String(entry.title || '').replace(/\s+/g, ' ').trim();
+  const html = entry.contentEncoded || entry.content || entry.description || entry.summary || '';
+  const summary = entry.contentSnippet || String(entry.summary || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  const title = rewriteTitle(originalTitle, rules.titleRewrites);
+  const date = entryDate(entry);
+
+  return {
+    externalId: entryGuid(entry),
+    title,
+    content: renderTemplate(rules.contentTemplate || DEFAULT_CONTENT_TEMPLATE, {
+      title,
+      link: entry.link || '',
+      content: html || `<p>${escapeHtml(summary || originalTitle)}</p>`,
+      summary,
+      author: entry.creator || entry.author || '',
+      date: date ? date.toISOString().slice(0, 10) : '',
+      source: sourceName
+    }).trim(),
+    contentFormat: 'html',
+    category: rules.category,
+    tags: rules.tags,
+    status: rules.status,
+    link: entry.link || null,
+    date
+  };
+};
+
+// Parse and map the newest entries, oldest first so posts are created in the feed's order
+const feedItems = async (xml, rules, sourceName) => {
+  let feed;
+  try {
+    feed = await parseFeed(xml);
+  } catch (error) {
+    throw new Error(`Could not parse feed: ${error.message}`);
+  }
+
+  const items = (feed.items || [])
+    .map(entry => mapEntry(entry, rules, sourceName))
+    .sort((a, b) => (b.date || 0) - (a.date || 0))
+    .slice(0, FEED_MAX_ENTRIES)
+    .reverse();
+
+  return { title: feed.title || null, items };
+};
+
+// Imports items one at a time through ingestEntry, which claims the GUID and returns a bulk ingestion
+// outcome ('skipped' for a GUID seen before). Returns the counts for the fetch log
+const ingestFeedItems = async (items, ingestEntry) => {
+  const counts = { created: 0, skipped: 0, failed: 0, itemErrors: [] };
+  for (const item of items) {
+    const outcome = await ingestEntry(item);
+    if (outcome.result === 'failed') {
+      counts.failed += 1;
+      counts.itemErrors.push({ guid: item.externalId, title: item.title, message: outcome.error });
+    } else if (outcome.result === 'created') {
+      counts.created += 1;
+    } else {
+      counts.skipped += 1;
+    }
+  }
+  return counts;
+};
+
+module.exports = { FEED_POST_STATUSES, parseFeedRules, feedItems, ingestFeedItems };
@@ -0,0 +1,117 @@
+// --- Syndication Feeds ---
+// Serializers for RSS 2.0, Atom 1.0 and JSON Feed 1.1. Each takes the same feed description:
+// { title, description, siteUrl, feedUrl, updated, items: [{ id, url, title, html, summary,
+//   category, published, updated, author, enclosure: { url, type, length } }] }
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// CDATA cannot contain "]]>", so split it across two sections
+const cdata = (value) => `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const buildRss = (feed) => {
+  const items = feed.items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+    item.category ? `      <category>${escapeXml(item.category)}</category>` : null,
+    item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>` : null,
+    `      <description>${cdata(item.html)}</description>`,
+    item.enclosure
+      ? `      <enclosure url="${escapeXml(item.enclosure.url)}" length="${item.enclosure.length || 0}" type="${escapeXml(item.enclosure.type)}"/>`
+      : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.siteUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+const buildAtom = (feed) => {
+  const entries = feed.items.map(item => [
+    '  <entry>',
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    `    <published>${item.published.toISOString()}</published>`,
+    `    <updated>${item.updated.toISOString()}</updated>`,
+    item.author ? `    <author><name>${escapeXml(item.author)}</name></author>` : null,
+    item.category ? `    <category term="${escapeXml(item.category)}"/>` : null,
+    `    <summary>${escapeXml(item.summary)}</summary>`,
+    `    <content type="html">${escapeXml(item.html)}</content>`,
+    item.enclosure
+      ? `    <link rel="enclosure" href="${escapeXml(item.enclosure.url)}" type="${escapeXml(item.enclosure.type)}" length="${item.enclosure.length || 0}"/>`
+      : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <author><name>${escapeXml(feed.title)}</name></author>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+const buildJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.siteUrl,
+  feed_url: feed.feedUrl,
+  language: 'en',
+  items: feed.items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    content_html: item.html,
+    summary: item.summary,
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    ...(item.author && { authors: [{ name: item.author }] }),
+    ...(item.category && { tags: [item.category] }),
+    ...(item.enclosure && item.enclosure.type.startsWith('image/') && { image: item.enclosure.url }),
+    ...(item.enclosure && {
+      attachments: [{
+        url: item.enclosure.url,
+        mime_type: item.enclosure.type,
+        ...(item.enclosure.length && { size_in_bytes: item.enclosure.length })
+      }]
+    })
+  }))
+}, null, 2);
+
+const FEED_FORMATS = {
+  'feed.xml': { build: buildRss, contentType: 'application/rss+xml; charset=utf-8' },
+  'atom.xml': { build: buildAtom, contentType: 'application/atom+xml; charset=utf-8' },
+  'feed.json': { build: buildJsonFeed, contentType: 'application/feed+json; charset=utf-8' }
+};
+
+module.exports = { FEED_FORMATS, escapeXml };
@@ -0,0 +1,97 @@
+// --- Outbound HTTP ---
+// Downloads of URLs that users and feeds hand us. Bodies are read with a byte cap, and with
+// publicOnly every hop (redirects included) must connect to a public address, so a URL cannot
+// reach the server's own network: localhost, cloud metadata (169.254.169.254), RFC 1918 ranges.
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+// BlockList matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges itself
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const privateAddressError = (host) =>
+  Object.assign(new Error(`${host} is not a public address`), { code: 'EPRIVATEADDRESS' });
+
+// dns.lookup replacement that only hands the socket public addresses, so the address that is checked
+// is the one connected to (a second lookup cannot swap in a private one)
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const allowed = addresses.filter(({ address }) => !isPrivateAddress(address));
+    if (allowed.length === 0) return callback(privateAddressError(hostname));
+    if (options.all) return callback(null, allowed);
+    callback(null, allowed[0].address, allowed[0].family);
+  });
+};
+
+const tooLarge = (maxBytes) =>
+  Object.assign(new Error(`Response exceeds ${Math.round(maxBytes / (1024 * 1024))}MB`), { code: 'ETOOLARGE' });
+
+// One request without redirects; resolves with the response and its body read up to maxBytes
+const request = (url, { headers, maxBytes, publicOnly, signal }) => new Promise((resolve, reject) => {
+  // Node skips the lookup for IP literals, so those are checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (publicOnly && net.isIP(host) && isPrivateAddress(host)) return reject(privateAddressError(host));
+
+  const client = url.protocol === 'https:' ? https : http;
+  const req = client.get(url, { headers, signal, ...(publicOnly && { lookup: publicLookup }) }, (res) => {
+    if (REDIRECT_STATUSES.includes(res.statusCode) || res.statusCode === 304) {
+      res.resume();
+      return resolve({ res, body: Buffer.alloc(0) });
+    }
+    if (Number(res.headers['content-length']) > maxBytes) {
+      res.destroy();
+      return reject(tooLarge(maxBytes));
+    }
+
+    const chunks = [];
+    let size = 0;
+    res.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        res.destroy();
+        reject(tooLarge(maxBytes));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    res.on('end', () => resolve({ res, body: Buffer.concat(chunks) }));
+    res.on('error', reject);
+  });
+  req.on('error', reject);
+});
+
+// GET an http(s) URL, following redirects. Returns { status, headers, body (Buffer), url (the final URL) }
+const fetchUrl = async (input, { headers = {}, maxBytes, timeoutMs, publicOnly = false }) => {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let url = new URL(input);
+
+  for (let hops = 0; ; hops++) {
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('URL must be http(s)');
+
+    const { res, body } = await request(url, { headers, maxBytes, publicOnly, signal });
+    if (!REDIRECT_STATUSES.includes(res.statusCode) || !res.headers.location) {
+      return { status: res.statusCode, headers: res.headers, body, url: url.href };
+    }
+    if (hops >= MAX_REDIRECTS) throw new Error('Too many redirects');
+    url = new URL(res.headers.location, url);
+  }
+};
+
+module.exports = { fetchUrl, isPrivateAddress };
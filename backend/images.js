@@ -0,0 +1,94 @@
+// --- Image Processing ---
+// Uploaded images are re-encoded without their metadata (EXIF, GPS, camera details), resized into
+// AVIF/WebP variants for srcset and given a tiny blurred placeholder to show while they load.
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const IMAGE_WIDTHS = [320, 640, 960, 1280, 1920];
+const IMAGE_FORMATS = ['avif', 'webp'];
+const MAX_ORIGINAL_WIDTH = 2560;
+const PLACEHOLDER_WIDTH = 16;
+
+// GIFs are left as uploaded so animations keep working
+const FORMAT_BY_TYPE = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const ENCODE_OPTIONS = {
+  avif: { quality: 50, effort: 4 },
+  webp: { quality: 75 },
+  jpeg: { quality: 82, mozjpeg: true },
+  png: { compressionLevel: 9 }
+};
+
+const isProcessableImage = (mimeType) => !!FORMAT_BY_TYPE[mimeType];
+
+// Every step narrower than the image, plus the image's own width when it is below the largest step
+const variantWidths = (width) => {
+  const widths = IMAGE_WIDTHS.filter(step => step < width);
+  if (width <= IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]) widths.push(width);
+  return widths;
+};
+
+// Rewrites filePath in place without metadata. Quick enough to run while the upload waits.
+// Returns { width, height, placeholder }
+const prepareImage = async (filePath, mimeType) => {
+  const format = FORMAT_BY_TYPE[mimeType];
+
+  // rotate() applies the EXIF orientation; sharp drops all metadata from its output by default
+  const { data: original, info } = await sharp(await fs.promises.readFile(filePath))
+    .rotate()
+    .resize({ width: MAX_ORIGINAL_WIDTH, withoutEnlargement: true })
+    .toFormat(format, ENCODE_OPTIONS[format])
+    .toBuffer({ resolveWithObject: true });
+  await fs.promises.writeFile(filePath, original);
+
+  const placeholder = await sharp(original)
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    width: info.width,
+    height: info.height,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`
+  };
+};
+
+// Writes the srcset variants of a prepared image into variantDir (served at variantUrl). This is the slow
+// part (up to ten AVIF/WebP encodes), so the server runs it in the background. Returns [{ url, width, format }]
+const buildVariants = async (filePath, variantDir, variantUrl) => {
+  try {
+    const original = await fs.promises.readFile(filePath);
+    const { width: originalWidth } = await sharp(original).metadata();
+
+    // One encode at a time keeps memory flat for large photos
+    await fs.promises.mkdir(variantDir, { recursive: true });
+    const variants = [];
+    for (const width of variantWidths(originalWidth)) {
+      for (const variantFormat of IMAGE_FORMATS) {
+        const fileName = `${width}.${variantFormat}`;
+        await sharp(original)
+          .resize({ width })
+          .toFormat(variantFormat, ENCODE_OPTIONS[variantFormat])
+          .toFile(path.join(variantDir, fileName));
+        variants.push({ url: `${variantUrl}/${fileName}`, width, format: variantFormat });
+      }
+    }
+    return variants;
+  } catch (error) {
+    await fs.promises.rm(variantDir, { recursive: true, force: true });
+    throw error;
+  }
+};
+
+// Both steps at once, for scripts. Returns { width, height, placeholder, variants }
+const processImage = async (filePath, mimeType, variantDir, variantUrl) => {
+  const image = await prepareImage(filePath, mimeType);
+  return { ...image, variants: await buildVariants(filePath, variantDir, variantUrl) };
+};
+
+module.exports = { isProcessableImage, prepareImage, buildVariants, processImage };
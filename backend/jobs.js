@@ -0,0 +1,80 @@
+// --- Job Details ---
+// Parsing and filtering for the structured job facts on job notification posts
+const JOB_FIELDS = ['organization', 'location', 'vacancies', 'eligibility', 'fee', 'applicationStart', 'applicationEnd', 'examDate', 'officialLink'];
+const JOB_DATE_FIELDS = ['applicationStart', 'applicationEnd', 'examDate'];
+
+// Date-only values ("2025-03-31") cover the whole day in server time, so the last date stays open until midnight
+const parseJobDate = (value, endOfDay) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const text = String(value).trim();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+    ? new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00'}`)
+    : new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Accepts an object or a JSON string (multipart forms). Returns { job } or { error }; an empty value clears the job
+const parseJob = (input) => {
+  let raw = input;
+  if (typeof raw === 'string') {
+    if (!raw.trim()) return { job: null };
+    try {
+      raw = JSON.parse(raw);
+    } catch (error) {
+      return { error: 'Job details must be a JSON object' };
+    }
+  }
+  if (raw === null) return { job: null };
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Job details must be a JSON object' };
+  }
+
+  const job = {};
+  for (const field of JOB_FIELDS) {
+    const value = raw[field];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (JOB_DATE_FIELDS.includes(field)) {
+      const date = parseJobDate(value, field === 'applicationEnd');
+      if (!date) return { error: `Job ${field} is not a valid date` };
+      job[field] = date;
+    } else if (field === 'vacancies') {
+      const count = Number(value);
+      if (!Number.isInteger(count) || count < 0) return { error: 'Job vacancies must be a whole number' };
+      job[field] = count;
+    } else {
+      job[field] = String(value).trim();
+    }
+  }
+
+  return { job: Object.keys(job).length > 0 ? job : null };
+};
+
+// "7d", "12h" or "2w" as milliseconds, or null if the value is not a duration
+const parseDuration = (value) => {
+  const match = /^(\d+)([hdw])$/.exec(String(value || '').trim());
+  if (!match) return null;
+  return Number(match[1]) * { h: 3600000, d: 86400000, w: 604800000 }[match[2]];
+};
+
+// Query conditions for the ?open= and ?closingWithin= list filters, relative to now. Returns { filter } or { error };
+// either filter only matches posts with structured job details
+const deadlineFilter = ({ open, closingWithin }, now) => {
+  if (!open && !closingWithin) return { filter: {} };
+
+  const applicationEnd = { $gte: now };
+  if (closingWithin) {
+    const window = parseDuration(closingWithin);
+    if (!window) return { error: 'closingWithin must be a duration such as 12h, 7d or 2w' };
+    applicationEnd.$lte = new Date(now.getTime() + window);
+  }
+
+  return {
+    filter: {
+      'job.applicationEnd': applicationEnd,
+      ...(open && { $or: [{ 'job.applicationStart': null }, { 'job.applicationStart': { $lte: now } }] })
+    }
+  };
+};
+
+module.exports = { JOB_FIELDS, parseJob, parseDuration, deadlineFilter };
@@ -0,0 +1,120 @@
+// --- Email Newsletter ---
+// SMTP transport plus the confirmation and digest emails. Point SMTP_HOST/SMTP_PORT at a local
+// catcher such as Mailpit or MailHog (localhost:1025) to test without delivering real mail.
+const nodemailer = require('nodemailer');
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Without SMTP_HOST, messages are logged instead of sent so development needs no mail server
+const createMailer = () => {
+  const from = process.env.MAIL_FROM || 'Newsletter <no-reply@localhost>';
+
+  if (!process.env.SMTP_HOST) {
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      from,
+      configured: false,
+      sendMail: async (message) => {
+        const info = await transport.sendMail({ from, ...message });
+        console.log(`✉️  SMTP_HOST not set; would have sent "${message.subject}" to ${message.to}`);
+        return info;
+      }
+    };
+  }
+
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    })
+  });
+
+  return {
+    from,
+    configured: true,
+    sendMail: (message) => transport.sendMail({ from, ...message })
+  };
+};
+
+const layout = (siteName, body, footer) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f1f5f9;font-family:Arial,sans-serif;color:#0f172a;">
+    <div style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+      <h1 style="margin:0 0 16px;font-size:22px;">${escapeHtml(siteName)}</h1>
+      ${body}
+    </div>
+    <p style="max-width:600px;margin:16px auto 0;font-size:12px;color:#64748b;text-align:center;">${footer}</p>
+  </body>
+</html>`;
+
+const buildConfirmationEmail = ({ siteName, confirmUrl }) => ({
+  subject: `Confirm your ${siteName} subscription`,
+  text: [
+    `Thanks for subscribing to ${siteName}.`,
+    '',
+    `Confirm your email address to start receiving the digest: ${confirmUrl}`,
+    '',
+    'If you did not ask for this, ignore this email and you will not hear from us again.'
+  ].join('\n'),
+  html: layout(
+    siteName,
+    `<p>Thanks for subscribing. Confirm your email address to start receiving the digest.</p>
+      <p><a href="${escapeHtml(confirmUrl)}" style="display:inline-block;padding:10px 18px;background:#3b82f6;color:#ffffff;border-radius:6px;text-decoration:none;">Confirm subscription</a></p>`,
+    'If you did not ask for this, ignore this email and you will not hear from us again.'
+  )
+});
+
+// posts: [{ title, url, category, summary, publishedAt, deadline }]
+const buildDigestEmail = ({ siteName, frequency, posts, unsubscribeUrl }) => {
+  const period = frequency === 'weekly' ? 'this week' : 'today';
+  const subject = `${siteName}: ${posts.length} new post${posts.length === 1 ? '' : 's'} ${period}`;
+
+  const items = posts.map(post => `
+      <div style="padding:12px 0;border-top:1px solid #e2e8f0;">
+        <div style="font-size:12px;text-transform:uppercase;color:#3b82f6;">${escapeHtml(post.category)}</div>
+        <a href="${escapeHtml(post.url)}" style="font-size:17px;font-weight:bold;color:#0f172a;text-decoration:none;">${escapeHtml(post.title)}</a>
+        ${post.deadline ? `<div style="font-size:13px;color:#b45309;">Last date: ${escapeHtml(post.deadline)}</div>` : ''}
+        <p style="margin:6px 0 0;font-size:14px;color:#475569;">${escapeHtml(post.summary)}</p>
+      </div>`).join('');
+
+  return {
+    subject,
+    text: [
+      `New on ${siteName} ${period}:`,
+      '',
+      ...posts.flatMap(post => [
+        `[${post.category}] ${post.title}`,
+        ...(post.deadline ? [`Last date: ${post.deadline}`] : []),
+        post.url,
+        ''
+      ]),
+      `Unsubscribe: ${unsubscribeUrl}`
+    ].join('\n'),
+    html: layout(
+      siteName,
+      `<p style="color:#475569;">New posts ${period}:</p>${items}`,
+      `You are receiving the ${frequency} digest. <a href="${escapeHtml(unsubscribeUrl)}" style="color:#64748b;">Unsubscribe</a>`
+    )
+  };
+};
+
+// Landing page for the unsubscribe link; the button POSTs back to actionUrl
+const buildUnsubscribePage = ({ siteName, actionUrl }) => layout(
+  siteName,
+  `<p>Unsubscribe from the ${escapeHtml(siteName)} newsletter? You will stop receiving digest emails.</p>
+      <form method="post" action="${escapeHtml(actionUrl)}">
+        <input type="hidden" name="confirm" value="yes" />
+        <button type="submit" style="padding:10px 18px;background:#3b82f6;color:#ffffff;border:none;border-radius:6px;font-size:15px;cursor:pointer;">Unsubscribe</button>
+      </form>`,
+  'Changed your mind? Just close this page and your subscription stays as it is.'
+);
+
+module.exports = { DIGEST_FREQUENCIES, createMailer, buildConfirmationEmail, buildDigestEmail, buildUnsubscribePage };
@@ -0,0 +1,87 @@
+const sanitizeHtml = require('sanitize-html');
+const path = require('path');
+const fs = require('fs');
+
+// --- Allowlist Policy ---
+// Loaded from sanitize-policy.json, or the file named by SANITIZE_POLICY_FILE
+const policyPath = process.env.SANITIZE_POLICY_FILE
+  ? path.resolve(process.env.SANITIZE_POLICY_FILE)
+  : path.join(__dirname, 'sanitize-policy.json');
+
+const loadPolicy = () => {
+  try {
+    const policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+    return {
+      allowedTags: policy.allowedTags || [],
+      allowedAttributes: policy.allowedAttributes || {},
+      allowedSchemes: policy.allowedSchemes || ['http', 'https', 'mailto'],
+      allowedSchemesByTag: policy.allowedSchemesByTag || {}
+    };
+  } catch (error) {
+    console.error(`Could not load sanitize policy from ${policyPath}:`, error.message);
+    throw error;
+  }
+};
+
+const policy = loadPolicy();
+
+const isAttributeAllowed = (tag, attribute) => {
+  const allowed = [
+    ...(policy.allowedAttributes['*'] || []),
+    ...(policy.allowedAttributes[tag] || [])
+  ];
+  return allowed.includes(attribute);
+};
+
+const isSchemeAllowed = (tag, value) => {
+  const match = /^\s*([a-z][a-z0-9+.-]*):/i.exec(value || '');
+  if (!match) return true; // Relative URLs carry no scheme
+  const schemes = policy.allowedSchemesByTag[tag] || policy.allowedSchemes;
+  return schemes.includes(match[1].toLowerCase());
+};
+
+// Returns the cleaned HTML plus a summary of every tag and attribute that was stripped
+const sanitizeContent = (html) => {
+  const removed = new Map();
+  const record = (element, attribute) => {
+    const key = attribute ? `${element}[${attribute}]` : element;
+    const entry = removed.get(key) || { element, ...(attribute && { attribute }), count: 0 };
+    entry.count += 1;
+    removed.set(key, entry);
+  };
+
+  const clean = sanitizeHtml(html || '', {
+    allowedTags: policy.allowedTags,
+    allowedAttributes: policy.allowedAttributes,
+    allowedSchemes: policy.allowedSchemes,
+    allowedSchemesByTag: policy.allowedSchemesByTag,
+    allowedSchemesAppliedToAttributes: ['href', 'src', 'cite'],
+    disallowedTagsMode: 'discard',
+    onOpenTag: (tag, attribs) => {
+      if (!policy.allowedTags.includes(tag)) {
+        record(tag);
+        return;
+      }
+      Object.keys(attribs).forEach(attribute => {
+        if (!isAttributeAllowed(tag, attribute)) {
+          record(tag, attribute);
+        } else if (['href', 'src', 'cite'].includes(attribute) && !isSchemeAllowed(tag, attribs[attribute])) {
+          record(tag, attribute);
+        }
+      });
+    },
+    transformTags: {
+      // Links opening a new tab must not get a handle on the opener
+      a: (tagName, attribs) => (attribs.target === '_blank'
+        ? { tagName, attribs: { ...attribs, rel: 'noopener noreferrer' } }
+        : { tagName, attribs })
+    }
+  });
+
+  return {
+    html: clean.trim(),
+    removed: Array.from(removed.values())
+  };
+};
+
+module.exports = { sanitizeContent, policy };
@@ -0,0 +1,67 @@
+// One-off migration: strip metadata from images uploaded before the image pipeline and build their variants.
+// Usage: npm run migrate:images [-- --dry-run]
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { isProcessableImage, processImage } = require('../images');
+
+const dryRun = process.argv.includes('--dry-run');
+const backendDir = path.join(__dirname, '..');
+
+const run = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not set');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`MongoDB connected. ${dryRun ? 'Dry run - no changes will be written.' : 'Processing images...'}`);
+
+  // Use the raw collection so schema defaults and validators do not interfere
+  const posts = mongoose.connection.collection('posts');
+  const cursor = posts.find(
+    { mediaUrl: /^\/uploads\//, mediaImage: null },
+    { projection: { title: 1, mediaUrl: 1, mediaType: 1 } }
+  );
+
+  let scanned = 0;
+  let processed = 0;
+  let failed = 0;
+
+  for await (const post of cursor) {
+    scanned += 1;
+    const filePath = path.join(backendDir, post.mediaUrl);
+    if (!isProcessableImage(post.mediaType) || !fs.existsSync(filePath)) continue;
+
+    console.log(`- ${post._id} "${post.title}": ${post.mediaUrl}`);
+    if (dryRun) {
+      processed += 1;
+      continue;
+    }
+
+    try {
+      const fileName = path.basename(post.mediaUrl);
+      const mediaImage = await processImage(
+        filePath,
+        post.mediaType,
+        path.join(backendDir, 'uploads', 'variants', fileName),
+        `/uploads/variants/${fileName}`
+      );
+      // updatedAt is left alone: processing an old upload is not an edit
+      await posts.updateOne({ _id: post._id }, { $set: { mediaImage } });
+      processed += 1;
+    } catch (error) {
+      failed += 1;
+      console.warn(`  Could not process ${post.mediaUrl}: ${error.message}`);
+    }
+  }
+
+  console.log(`Done. Scanned ${scanned} posts, ${processed} ${dryRun ? 'would be' : 'were'} processed, ${failed} failed.`);
+};
+
+run()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
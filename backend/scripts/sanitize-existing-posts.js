@@ -0,0 +1,50 @@
+// One-off migration: run every stored post's content through the sanitize policy.
+// Usage: npm run migrate:sanitize [-- --dry-run]
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const { sanitizeContent } = require('../sanitize');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not set');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`MongoDB connected. ${dryRun ? 'Dry run - no changes will be written.' : 'Sanitizing posts...'}`);
+
+  // Use the raw collection so schema defaults and validators do not interfere
+  const posts = mongoose.connection.collection('posts');
+  const cursor = posts.find({}, { projection: { title: 1, content: 1 } });
+
+  let scanned = 0;
+  let changed = 0;
+
+  for await (const post of cursor) {
+    scanned += 1;
+    const { html, removed } = sanitizeContent(post.content);
+
+    if (html === (post.content || '').trim()) continue;
+
+    changed += 1;
+    const summary = removed.map(r => (r.attribute ? `${r.element}[${r.attribute}]` : `<${r.element}>`) + ` x${r.count}`);
+    console.log(`- ${post._id} "${post.title}": ${summary.join(', ') || 'normalized markup'}`);
+
+    if (!dryRun) {
+      await posts.updateOne(
+        { _id: post._id },
+        { $set: { content: html, updatedAt: new Date() } }
+      );
+    }
+  }
+
+  console.log(`Done. Scanned ${scanned} posts, ${changed} ${dryRun ? 'would be' : 'were'} updated.`);
+};
+
+run()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
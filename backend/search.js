@@ -0,0 +1,87 @@
+// --- Full-Text Search Helpers ---
+// Search strings use MongoDB $text syntax: plain words, "quoted phrases" and -excluded words
+
+const MAX_SEARCH_LENGTH = 200;
+const EXCERPT_LENGTH = 180;
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a search string into the phrases and words it asks for (exclusions are dropped)
+const parseSearchTerms = (search) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(search)) !== null) {
+    const excluded = match[1] === '-' || match[3] === '-';
+    const term = (match[2] || match[4] || '').trim();
+    if (!excluded && term) terms.push(term);
+  }
+
+  return terms;
+};
+
+// Build a regex that matches any of the terms at a word start; longer terms win ties
+const termsPattern = (terms) => {
+  if (terms.length === 0) return null;
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(term => escapeRegex(term).replace(/\s+/g, '\\s+'));
+  return new RegExp(`\\b(${alternatives.join('|')})`, 'gi');
+};
+
+// Escape the text, then wrap each match in <mark> so it is safe to render as HTML
+const markMatches = (text, pattern) => {
+  if (!pattern) return escapeHtml(text);
+
+  let result = '';
+  let lastIndex = 0;
+  pattern.lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    result += escapeHtml(text.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+    if (match[0].length === 0) pattern.lastIndex += 1;
+  }
+
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+// Returns { title, excerpt } HTML with matches highlighted, centred on the first content match
+const highlightPost = (post, search) => {
+  const pattern = termsPattern(parseSearchTerms(search));
+  const text = (post.content || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+  let start = 0;
+  if (pattern) {
+    pattern.lastIndex = 0;
+    const first = pattern.exec(text);
+    if (first) start = Math.max(0, first.index - Math.floor(EXCERPT_LENGTH / 3));
+  }
+
+  // Snap to word boundaries so the excerpt does not begin or end mid-word
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 ? start : space + 1;
+  }
+  let end = Math.min(text.length, start + EXCERPT_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  return {
+    title: markMatches(post.title || '', pattern),
+    excerpt: (start > 0 ? '…' : '') + markMatches(text.slice(start, end), pattern) + (end < text.length ? '…' : '')
+  };
+};
+
+module.exports = { MAX_SEARCH_LENGTH, parseSearchTerms, highlightPost };
@@ -0,0 +1,103 @@
+// --- Search Engine Metadata ---
+// Helpers for the server-rendered HTML shell, sitemap.xml and robots.txt
+const { escapeXml } = require('./feeds');
+
+const escapeAttr = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// JSON inside <script> must not be able to close the tag early
+const safeJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// Replace the shell's default title, description, OpenGraph and Twitter tags with page-specific ones
+const renderShell = (html, meta) => {
+  const tags = [
+    `<title>${escapeAttr(meta.title)}</title>`,
+    `<meta name="description" content="${escapeAttr(meta.description)}" />`,
+    `<link rel="canonical" href="${escapeAttr(meta.url)}" />`,
+    `<meta property="og:type" content="${escapeAttr(meta.type || 'website')}" />`,
+    `<meta property="og:site_name" content="${escapeAttr(meta.siteName)}" />`,
+    `<meta property="og:url" content="${escapeAttr(meta.url)}" />`,
+    `<meta property="og:title" content="${escapeAttr(meta.title)}" />`,
+    `<meta property="og:description" content="${escapeAttr(meta.description)}" />`,
+    meta.image ? `<meta property="og:image" content="${escapeAttr(meta.image)}" />` : null,
+    meta.publishedTime ? `<meta property="article:published_time" content="${escapeAttr(meta.publishedTime)}" />` : null,
+    meta.section ? `<meta property="article:section" content="${escapeAttr(meta.section)}" />` : null,
+    `<meta name="twitter:card" content="${meta.image ? 'summary_large_image' : 'summary'}" />`,
+    `<meta name="twitter:title" content="${escapeAttr(meta.title)}" />`,
+    `<meta name="twitter:description" content="${escapeAttr(meta.description)}" />`,
+    meta.image ? `<meta name="twitter:image" content="${escapeAttr(meta.image)}" />` : null,
+    ...(meta.jsonLd || []).map(data => `<script type="application/ld+json">${safeJson(data)}</script>`)
+  ].filter(Boolean).join('\n    ');
+
+  return html
+    .replace(/<title>[\s\S]*?<\/title>\s*/i, '')
+    .replace(/<meta\s+(name="description"|property="(og|twitter):[^"]*"|name="twitter:[^"]*")[^>]*>\s*/gi, '')
+    .replace(/<link\s+rel="canonical"[^>]*>\s*/gi, '')
+    .replace(/\s*<\/head>/i, `\n    ${tags}\n  </head>`);
+};
+
+// schema.org JobPosting for job notification posts. Search engines reject postings without a real
+// hiring organization and a location, so posts missing either get no JobPosting (null)
+const buildJobPosting = ({ post, url, siteName, description, country }) => {
+  const job = post.job || {};
+  if (!job.organization || !job.location) return null;
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'JobPosting',
+    title: post.title,
+    description: post.content || description,
+    datePosted: (post.publishedAt || post.createdAt).toISOString(),
+    ...(job.applicationEnd && { validThrough: job.applicationEnd.toISOString() }),
+    ...(job.vacancies && { totalJobOpenings: job.vacancies }),
+    ...(job.eligibility && { qualifications: job.eligibility }),
+    url,
+    hiringOrganization: {
+      '@type': 'Organization',
+      name: job.organization,
+      ...(job.officialLink && { sameAs: job.officialLink })
+    },
+    jobLocation: {
+      '@type': 'Place',
+      address: {
+        '@type': 'PostalAddress',
+        addressLocality: job.location,
+        ...(country && { addressCountry: country })
+      }
+    },
+    identifier: {
+      '@type': 'PropertyValue',
+      name: siteName,
+      value: String(post._id)
+    }
+  };
+};
+
+const buildSitemap = (urls) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...urls.map(entry => [
+    '  <url>',
+    `    <loc>${escapeXml(entry.loc)}</loc>`,
+    entry.lastmod ? `    <lastmod>${entry.lastmod.toISOString()}</lastmod>` : null,
+    entry.changefreq ? `    <changefreq>${entry.changefreq}</changefreq>` : null,
+    entry.priority ? `    <priority>${entry.priority}</priority>` : null,
+    '  </url>'
+  ].filter(Boolean).join('\n')),
+  '</urlset>',
+  ''
+].join('\n');
+
+const buildRobots = (siteUrl) => [
+  'User-agent: *',
+  'Allow: /',
+  'Disallow: /api/',
+  '',
+  `Sitemap: ${siteUrl}/sitemap.xml`,
+  ''
+].join('\n');
+
+module.exports = { renderShell, buildJobPosting, buildSitemap, buildRobots };
@@ -4,12 +4,37 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
+const { fileURLToPath } = require('url');
 const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const Diff = require('diff');
+const { CONTENT_FORMATS, renderPostContent } = require('./content');
+const { slugify, isSlugFor, uniqueSlug } = require('./slugs');
+const { MAX_TAGS, normalizeTag, normalizeTags } = require('./tags');
+const { parseJob, deadlineFilter } = require('./jobs');
+const { FEED_FORMATS } = require('./feeds');
+const { renderShell, buildJobPosting, buildSitemap, buildRobots } = require('./seo');
+const { MAX_SEARCH_LENGTH, parseSearchTerms, highlightPost } = require('./search');
+const { buildCalendar } = require('./calendar');
+const { DIGEST_FREQUENCIES, createMailer, buildConfirmationEmail, buildDigestEmail, buildUnsubscribePage } = require('./newsletter');
+const { FEED_POST_STATUSES, parseFeedRules, feedItems, ingestFeedItems } = require('./feed-ingest');
+const { isProcessableImage, prepareImage, buildVariants } = require('./images');
+const { fetchUrl } = require('./http-client');
+const webPush = require('web-push');
 
 const app = express();
 
 // --- Middleware ---
 app.use(cors());
+// Behind a reverse proxy set TRUST_PROXY (a hop count, "loopback" or "true") so req.ip is the reader's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+// Bulk ingestion may carry inline base64 media, so it gets a larger body limit than everything else
+app.use('/api/posts/bulk', express.json({ limit: process.env.BULK_BODY_LIMIT || '50mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -88,9 +113,137 @@ const connectDB = async () => {
   }
 };
 
-connectDB();
+// Tests require the app and connect to their own database
+if (require.main === module) connectDB();
 
 // --- Database Schema ---
+
+// --- Categories ---
+// Posts store the category name; URLs use the slug (spaces become dashes)
+const categorySlug = (category) => category.trim().toLowerCase().replace(/\s+/g, '-');
+const categoryName = (value) => String(value || '').trim().toLowerCase().replace(/-/g, ' ').replace(/\s+/g, ' ');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [40, 'Category name cannot exceed 40 characters'],
+    match: [/^[a-z0-9]+( [a-z0-9]+)*$/, 'Category name may only contain letters, numbers and single spaces']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    index: true
+  },
+  label: {
+    type: String,
+    required: [true, 'Category label is required'],
+    trim: true,
+    maxlength: [40, 'Category label cannot exceed 40 characters']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    default: 'fas fa-tag'
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.pre('validate', function(next) {
+  if (this.name) this.slug = categorySlug(this.name);
+  next();
+});
+
+const Category = mongoose.model('Category', categorySchema);
+
+// Seeded on first start; these were the hard-coded categories before they moved to the database
+const DEFAULT_CATEGORIES = [
+  { name: 'job notification', label: 'Jobs', icon: 'fas fa-briefcase' },
+  { name: 'admit card', label: 'Admit Cards', icon: 'fas fa-id-card' },
+  { name: 'result', label: 'Results', icon: 'fas fa-chart-line' },
+  { name: 'technology', label: 'Technology', icon: 'fas fa-microchip' },
+  { name: 'lifestyle', label: 'Lifestyle', icon: 'fas fa-leaf' },
+  { name: 'travel', label: 'Travel', icon: 'fas fa-plane' },
+  { name: 'food', label: 'Food', icon: 'fas fa-utensils' },
+  { name: 'health', label: 'Health', icon: 'fas fa-heartbeat' },
+  { name: 'business', label: 'Business', icon: 'fas fa-building' },
+  { name: 'other', label: 'Other', icon: 'fas fa-ellipsis-h' }
+].map((category, index) => ({ ...category, order: index * 10 }));
+
+// Accepts a category name or slug in any case; resolves to the stored category or null
+const findCategory = (value) => {
+  const name = categoryName(value);
+  return name ? Category.findOne({ name }) : Promise.resolve(null);
+};
+
+// --- Job Details ---
+// Structured facts for job notifications, kept next to the free-form content (parsing lives in jobs.js)
+const jobSchema = new mongoose.Schema({
+  organization: {
+    type: String,
+    trim: true,
+    maxlength: [120, 'Organization cannot exceed 120 characters']
+  },
+  // Where the job is based, e.g. "New Delhi" or "All India"
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [120, 'Location cannot exceed 120 characters']
+  },
+  vacancies: {
+    type: Number,
+    min: [0, 'Vacancies cannot be negative']
+  },
+  eligibility: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Eligibility cannot exceed 500 characters']
+  },
+  fee: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Fee cannot exceed 200 characters']
+  },
+  applicationStart: Date,
+  // Last date to apply; drives the open/closing filters, the expired badge and auto-archiving
+  applicationEnd: Date,
+  examDate: Date,
+  officialLink: {
+    type: String,
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, 'Official link must be an http(s) URL']
+  }
+}, {
+  _id: false
+});
+
+jobSchema.path('applicationEnd').validate(function(value) {
+  return !value || !this.applicationStart || value >= this.applicationStart;
+}, 'Application end date cannot be before the start date');
+
+// Uploaded images: intrinsic size, a blurred data-URI placeholder and the srcset variants
+const mediaImageSchema = new mongoose.Schema({
+  width: Number,
+  height: Number,
+  placeholder: String,
+  variants: [{
+    _id: false,
+    url: String,
+    width: Number,
+    format: String
+  }]
+}, {
+  _id: false
+});
+
 const postSchema = new mongoose.Schema({
   title: { 
     type: String, 
@@ -98,18 +251,82 @@ const postSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
+  // URL-friendly permalink generated from the title
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    index: true
+  },
+  // Earlier slugs that should redirect to the current one
+  previousSlugs: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  // Rendered, sanitized HTML that readers are served
   content: { 
     type: String, 
     required: [true, 'Content is required'],
     trim: true
   },
+  contentFormat: {
+    type: String,
+    enum: {
+      values: ['html', 'markdown'],
+      message: 'Content format must be html or markdown'
+    },
+    default: 'html'
+  },
+  // Original Markdown, kept so editors can keep working in it
+  contentSource: {
+    type: String,
+    required: false
+  },
   category: { 
     type: String, 
     required: [true, 'Category is required'],
     trim: true,
-    enum: {
-      values: ['job notification', 'admit card', 'result', 'technology', 'lifestyle', 'travel', 'food', 'health', 'business', 'other'],
-      message: 'Category must be one of the allowed values'
+    lowercase: true,
+    validate: {
+      validator: async (value) => Boolean(await Category.exists({ name: value })),
+      message: 'Category must be one of the configured categories'
+    }
+  },
+  job: {
+    type: jobSchema,
+    default: undefined
+  },
+  // Identity of posts created through bulk ingestion, unique per source
+  source: {
+    type: String,
+    trim: true
+  },
+  externalId: {
+    type: String,
+    trim: true
+  },
+  ingestHash: {
+    type: String,
+    select: false
+  },
+  // Where ingested media came from (its URL, or a hash of inline data), so a re-send reuses the stored file
+  mediaSource: {
+    type: String,
+    select: false
+  },
+  // Set once push notifications for the post have gone out
+  pushNotifiedAt: {
+    type: Date,
+    select: false
+  },
+  tags: {
+    type: [String],
+    default: [],
+    index: true,
+    validate: {
+      validator: (tags) => tags.length <= MAX_TAGS,
+      message: `A post can have at most ${MAX_TAGS} tags`
     }
   },
   mediaUrl: { 
@@ -120,6 +337,11 @@ const postSchema = new mongoose.Schema({
     type: String, 
     required: false 
   },
+  // Dimensions, blur placeholder and responsive variants of an uploaded image (see images.js)
+  mediaImage: {
+    type: mediaImageSchema,
+    default: undefined
+  },
   likes: { 
     type: Number, 
     default: 0,
@@ -130,10 +352,44 @@ const postSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Views cannot be negative']
   },
+  // Time-decayed popularity from recent views and likes, recomputed by the scheduler
+  trendingScore: {
+    type: Number,
+    default: 0,
+    index: true
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // When the post went to the trash (isActive: false); the retention job purges it TRASH_RETENTION_DAYS later
+  deletedAt: {
+    type: Date,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['draft', 'scheduled', 'published', 'archived'],
+      message: 'Status must be draft, scheduled, published or archived'
+    },
+    default: 'published',
+    index: true
+  },
+  // When a scheduled post should go live
+  publishAt: {
+    type: Date,
+    required: false
+  },
+  publishedAt: {
+    type: Date,
+    required: false
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -146,519 +402,4740 @@ const postSchema = new mongoose.Schema({
   timestamps: true
 });
 
-const Post = mongoose.model('Post', postSchema);
+postSchema.index(
+  { source: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
 
-// --- API Security Middleware ---
-const apiKeyAuth = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-  
-  if (!process.env.API_SECRET_KEY) {
-    console.warn('Warning: API_SECRET_KEY not set in environment variables');
-    return next(); // Allow if no API key is configured
+// Deadline filters, the expiry job and the calendar feed look posts up by their dates
+postSchema.index({ 'job.applicationEnd': 1 }, { sparse: true });
+postSchema.index({ 'job.examDate': 1 }, { sparse: true });
+
+// Weighted full-text index: title matches count most, then category, then body
+postSchema.index(
+  { title: 'text', category: 'text', content: 'text' },
+  { name: 'post_text_search', weights: { title: 10, category: 5, content: 1 }, default_language: 'english' }
+);
+
+// Every path that deactivates or reactivates a post keeps the trash timestamp in step
+postSchema.pre('save', function(next) {
+  if (this.isModified('isActive')) this.deletedAt = this.isActive ? undefined : new Date();
+  next();
+});
+
+// Regenerate the slug whenever the title changes, remembering the old one for redirects
+postSchema.pre('save', async function () {
+  if (this.slug && !this.isModified('title')) return;
+
+  const base = slugify(this.title);
+  if (this.slug && isSlugFor(this.slug, base)) {
+    return; // Title changed but still maps to the same slug
   }
-  
-  if (apiKey && apiKey === process.env.API_SECRET_KEY) {
-    return next();
+
+  const candidate = await uniqueSlug(base, (slug) => this.constructor.exists({
+    _id: { $ne: this._id },
+    $or: [{ slug }, { previousSlugs: slug }]
+  }));
+
+  if (this.slug) {
+    this.previousSlugs = [...this.previousSlugs.filter(s => s !== candidate), this.slug];
   }
-  
-  if (!apiKey) {
-    return next(); // Allow frontend manual edits (no API key provided)
+  this.slug = candidate;
+});
+
+const Post = mongoose.model('Post', postSchema);
+
+// --- Post Lifecycle ---
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// Posts created before statuses existed have no status field and count as published
+const PUBLISHED_FILTER = { isActive: true, status: { $in: ['published', null] } };
+
+const isPublished = (post) => !!post && post.isActive && (!post.status || post.status === 'published');
+
+// --- Post Input ---
+// First of `fields` that a JSON body sent as something other than a string (a number, array or object)
+const nonStringField = (body, fields) =>
+  fields.find(field => body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string');
+
+// --- Uploaded Files ---
+// Responsive variants of /uploads/<file> live in /uploads/variants/<file>/
+const variantDirFor = (mediaUrl) => path.join(uploadsDir, 'variants', path.basename(mediaUrl));
+
+const deleteUploadedFile = (mediaUrl) => {
+  if (!mediaUrl || !mediaUrl.startsWith('/uploads/')) return;
+  const filePath = path.join(__dirname, mediaUrl);
+  try {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+    fs.rmSync(variantDirFor(mediaUrl), { recursive: true, force: true });
+  } catch (fileError) {
+    console.warn('Could not delete file:', fileError.message);
   }
-  
-  return res.status(401).json({ 
-    success: false,
-    message: 'Unauthorized: Invalid API Key' 
+};
+
+// Runs after multer: a request that ends in an error (validation, 403, 500) must not leave its upload behind
+const discardUploadOnError = (req, res, next) => {
+  res.on('finish', () => {
+    if (req.file && res.statusCode >= 400) deleteUploadedFile(`/uploads/${req.file.filename}`);
   });
+  next();
 };
 
-// --- Request logging middleware (optional) ---
-const requestLogger = (req, res, next) => {
-  const timestamp = new Date().toISOString();
-  const method = req.method;
-  const url = req.originalUrl;
-  const ip = req.ip || req.connection.remoteAddress;
-  
-  // Only log API requests in production
-  if (req.originalUrl.startsWith('/api/') || process.env.NODE_ENV === 'development') {
-    console.log(`${timestamp} - ${method} ${url} - ${ip}`);
+// Strips metadata from a stored image and measures it. Returns { mediaImage } (null for videos,
+// documents and GIFs) or { error }, in which case the unreadable file has been removed.
+// The variants are left empty for queueImageVariants to fill in once the post is saved
+const processUploadedMedia = async (mediaUrl, mediaType) => {
+  if (!isProcessableImage(mediaType)) return { mediaImage: null };
+  try {
+    const mediaImage = await prepareImage(path.join(__dirname, mediaUrl), mediaType);
+    return { mediaImage: { ...mediaImage, variants: [] } };
+  } catch (error) {
+    deleteUploadedFile(mediaUrl);
+    return { error: `Could not process the uploaded image: ${error.message}` };
   }
-  
-  next();
 };
 
-app.use(requestLogger);
+// Variants are encoded one image at a time in the background; until then PostImage shows the
+// original with its placeholder
+let variantQueue = Promise.resolve();
 
-// --- Error handling middleware ---
-const errorHandler = (err, req, res, next) => {
-  console.error('Error:', err.message);
-  
-  if (err instanceof multer.MulterError) {
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        message: 'File size too large. Maximum size is 10MB.'
-      });
-    }
-    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
-      return res.status(400).json({
-        success: false,
-        message: 'Unexpected file field. Please use "mediaFile" as the field name.'
-      });
-    }
-  }
-  
-  if (err.name === 'ValidationError') {
-    const errors = Object.values(err.errors).map(e => e.message);
-    return res.status(400).json({
-      success: false,
-      message: 'Validation Error',
-      errors
-    });
-  }
-  
-  if (err.name === 'CastError') {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid ID format'
-    });
+const buildPostVariants = async (postId, mediaUrl) => {
+  const filePath = path.join(__dirname, mediaUrl);
+  if (!fs.existsSync(filePath)) return;
+
+  const variants = await buildVariants(filePath, variantDirFor(mediaUrl), `/uploads/variants/${path.basename(mediaUrl)}`);
+  const result = await Post.updateOne(
+    { _id: postId, mediaUrl },
+    { $set: { 'mediaImage.variants': variants } },
+    { timestamps: false }
+  );
+  // The post was hard-deleted while encoding; its files are gone, so the new variants go too
+  if (result.matchedCount === 0 && !fs.existsSync(filePath)) {
+    fs.rmSync(variantDirFor(mediaUrl), { recursive: true, force: true });
   }
-  
-  if (err.name === 'MongoServerError' && err.code === 11000) {
-    return res.status(400).json({
-      success: false,
-      message: 'Duplicate entry found'
-    });
+};
+
+const queueImageVariants = (post) => {
+  if (!post.mediaUrl?.startsWith('/uploads/') || !post.mediaImage || post.mediaImage.variants?.length > 0) return;
+  const { _id, mediaUrl } = post;
+  variantQueue = variantQueue
+    .then(() => buildPostVariants(_id, mediaUrl))
+    .catch(error => console.error(`Error building image variants for ${mediaUrl}:`, error.message));
+};
+
+// --- Ingested Media ---
+// Bulk ingestion brings media by URL or as inline base64 instead of a multipart upload
+const MAX_MEDIA_BYTES = 10 * 1024 * 1024; // Same limit as uploads
+const MEDIA_FETCH_TIMEOUT_MS = 15 * 1000;
+const MEDIA_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/x-msvideo': '.avi',
+  'video/x-ms-wmv': '.wmv',
+  'application/pdf': '.pdf'
+};
+
+const saveMediaBuffer = (buffer, mimeType, nameHint) => {
+  const extension = MEDIA_EXTENSIONS[mimeType];
+  const baseName = path.basename(nameHint || 'media', path.extname(nameHint || ''))
+    .replace(/[^a-zA-Z0-9.-]/g, '_')
+    .slice(0, 80) || 'media';
+  const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${baseName}${extension}`;
+  fs.writeFileSync(path.join(uploadsDir, fileName), buffer);
+  return { mediaUrl: `/uploads/${fileName}`, mediaType: mimeType };
+};
+
+// Only public addresses are fetched, on every redirect hop, so a media URL cannot reach internal services
+const fetchRemoteMedia = async (url) => {
+  if (!/^https?:\/\//i.test(url)) throw new Error('Media URL must be http(s)');
+
+  const response = await fetchUrl(url, { publicOnly: true, maxBytes: MAX_MEDIA_BYTES, timeoutMs: MEDIA_FETCH_TIMEOUT_MS });
+  if (response.status < 200 || response.status >= 300) throw new Error(`Media download failed with HTTP ${response.status}`);
+
+  const mimeType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!MEDIA_EXTENSIONS[mimeType]) throw new Error(`Unsupported media type "${mimeType || 'unknown'}"`);
+
+  return { buffer: response.body, mimeType, nameHint: new URL(response.url).pathname.split('/').pop() };
+};
+
+// Accepts raw base64 with a separate type, or a data: URI
+const decodeInlineMedia = ({ data, type, filename }) => {
+  const dataUri = /^data:([^;,]+);base64,(.*)$/s.exec(data);
+  const mimeType = String((dataUri ? dataUri[1] : type) || '').toLowerCase();
+  if (!MEDIA_EXTENSIONS[mimeType]) throw new Error(`Unsupported media type "${mimeType || 'unknown'}"`);
+
+  const buffer = Buffer.from(dataUri ? dataUri[2] : data, 'base64');
+  if (buffer.length === 0) throw new Error('Inline media is empty');
+  if (buffer.length > MAX_MEDIA_BYTES) throw new Error('Media exceeds 10MB');
+
+  return { buffer, mimeType, nameHint: filename };
+};
+
+// Identifies the media an item asks for without downloading it
+const mediaSourceKey = (media) => typeof media?.url === 'string'
+  ? media.url
+  : `sha256:${crypto.createHash('sha256').update(String(media?.data ?? '')).digest('hex')}`;
+
+// media: { url } or { data, type?, filename? }; returns the stored { mediaUrl, mediaType, mediaImage }
+const ingestMedia = async (media) => {
+  let download;
+  if (typeof media?.url === 'string') {
+    download = await fetchRemoteMedia(media.url);
+  } else if (typeof media?.data === 'string') {
+    download = decodeInlineMedia(media);
+  } else {
+    throw new Error('Media must have a url or base64 data');
   }
-  
-  res.status(500).json({
-    success: false,
-    message: 'Internal server error',
-    error: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-  });
+
+  const saved = saveMediaBuffer(download.buffer, download.mimeType, download.nameHint);
+  const { mediaImage, error } = await processUploadedMedia(saved.mediaUrl, saved.mediaType);
+  if (error) throw new Error(error);
+  return { ...saved, mediaImage: mediaImage || undefined };
 };
 
-// --- API Routes ---
+// --- Revisions ---
+// Comparable form of a revisioned field; arrays and sub-documents compare by content
+const revisionValue = (value) => {
+  if (Array.isArray(value) && value.length === 0) return '';
+  if (value && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+  return String(value ?? '');
+};
 
-// Get all posts with pagination and filtering
-app.get('/api/posts', async (req, res) => {
-  try {
-    const page = Math.max(1, parseInt(req.query.page) || 1);
-    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10)); // Max 50 posts per page
-    const category = req.query.category;
-    const search = req.query.search;
-    const sortBy = req.query.sortBy || 'createdAt'; // createdAt, likes, views, title
-    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
-    
-    // Build query
-    let query = { isActive: true }; // Only show active posts
-    
-    if (category && category !== 'all') {
-      query.category = { $regex: new RegExp(category, 'i') };
-    }
-    
-    if (search && search.trim()) {
-      const searchRegex = { $regex: search.trim(), $options: 'i' };
-      query.$or = [
-        { title: searchRegex },
-        { content: searchRegex },
-        { category: searchRegex }
-      ];
-    }
-    
-    const skip = (page - 1) * limit;
-    
-    // Build sort object
-    let sortObj = {};
-    sortObj[sortBy] = sortOrder;
-    if (sortBy !== 'createdAt') {
-      sortObj['createdAt'] = -1; // Secondary sort by creation date
+const REVISION_WRITE_ATTEMPTS = 5;
+
+// Store `previous` (a plain copy of the post taken before editing) as the next revision
+const recordRevision = async (previous, current, req, note) => {
+  const changedFields = REVISION_FIELDS.filter(field =>
+    revisionValue(previous[field]) !== revisionValue(current[field]));
+
+  if (changedFields.length === 0) return null;
+
+  const snapshot = REVISION_FIELDS.reduce((fields, field) => {
+    fields[field] = previous[field];
+    return fields;
+  }, {});
+
+  // Two concurrent edits can pick the same rev; the loser takes the next number
+  for (let attempt = 1; ; attempt++) {
+    const latest = await PostRevision.findOne({ post: previous._id }).sort({ rev: -1 }).select('rev');
+    try {
+      return await PostRevision.create({
+        ...snapshot,
+        post: previous._id,
+        rev: (latest?.rev || 0) + 1,
+        editedBy: req.user ? req.user._id : undefined,
+        editedByName: req.user ? req.user.username : (req.apiClient ? 'automation' : 'unknown'),
+        changedFields,
+        note
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= REVISION_WRITE_ATTEMPTS) throw error;
     }
-    
-    const posts = await Post.find(query)
-      .sort(sortObj)
-      .skip(skip)
-      .limit(limit)
-      .select('-__v'); // Exclude version key
-      
-    const total = await Post.countDocuments(query);
-    const totalPages = Math.ceil(total / limit);
-    
-    res.json({
-      success: true,
-      data: posts,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalPosts: total,
-        hasMore: page < totalPages,
-        limit
-      },
-      query: {
-        search: search || null,
-        category: category || 'all',
-        sortBy,
-        sortOrder: sortOrder === 1 ? 'asc' : 'desc'
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching posts:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Error fetching posts',
-      error: error.message 
-    });
   }
-});
+};
 
-// Get single post and increment view count
-app.get('/api/posts/:id', async (req, res) => {
+// Saves an edited post with its history entry. The revision is written first and removed again if the
+// save fails, so an applied edit never lacks history and a failed one never leaves a stray revision
+const saveWithRevision = async (post, previous, req, note) => {
+  const revision = previous ? await recordRevision(previous, post, req, note) : null;
   try {
-    const post = await Post.findById(req.params.id).select('-__v');
-    if (!post || !post.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found'
-      });
-    }
-    
-    // Increment view count
-    await Post.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } });
-    post.views += 1; // Update the returned post object
-    
-    res.json({
-      success: true,
-      data: post
-    });
+    return await post.save();
   } catch (error) {
-    console.error('Error fetching post:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching post',
-      error: error.message
-    });
+    if (revision) await PostRevision.deleteOne({ _id: revision._id });
+    throw error;
   }
-});
+};
 
-// Create new post
-app.post('/api/posts', apiKeyAuth, upload.single('mediaFile'), async (req, res) => {
-  try {
-    const { title, content, category } = req.body;
-    
-    // Validate required fields
-    if (!title?.trim() || !content?.trim() || !category?.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Title, content, and category are required'
+// --- Roles & Permissions ---
+const ROLE_PERMISSIONS = {
+  admin: [
+    'post:create', 'post:publish', 'post:edit:any', 'post:edit:own',
+    'post:delete:any', 'post:delete:own', 'post:delete:force', 'comment:moderate', 'category:manage', 'newsletter:manage', 'feed:manage', 'user:manage'
+  ],
+  editor: [
+    'post:create', 'post:publish', 'post:edit:any', 'post:edit:own',
+    'post:delete:any', 'post:delete:own', 'comment:moderate'
+  ],
+  author: [
+    'post:create', 'post:edit:own', 'post:delete:own'
+  ],
+  reader: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Role granted to automation requests authenticated with x-api-key
+const API_KEY_ROLE = ROLES.includes(process.env.API_KEY_ROLE) ? process.env.API_KEY_ROLE : 'editor';
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minlength: [3, 'Username must be at least 3 characters'],
+    maxlength: [30, 'Username cannot exceed 30 characters'],
+    match: [/^[a-z0-9_.-]+$/, 'Username may only contain letters, numbers, dots, dashes and underscores']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email address is invalid']
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Role must be one of: ' + ROLES.join(', ')
+    },
+    default: 'reader'
+  },
+  // Bumped on logout so every outstanding refresh token stops working
+  tokenVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, 12);
+};
+
+userSchema.methods.checkPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+userSchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id,
+    username: this.username,
+    email: this.email,
+    role: this.role,
+    permissions: ROLE_PERMISSIONS[this.role] || [],
+    createdAt: this.createdAt
+  };
+};
+
+const User = mongoose.model('User', userSchema);
+
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+const MAX_COMMENT_DEPTH = 4;
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+    index: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
+  authorName: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: COMMENT_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  ip: {
+    type: String,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+// Fields captured in each revision snapshot
+const REVISION_FIELDS = ['title', 'content', 'contentFormat', 'contentSource', 'category', 'tags', 'job', 'mediaUrl', 'mediaType', 'mediaImage', 'isActive', 'status', 'publishAt'];
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  rev: {
+    type: Number,
+    required: true
+  },
+  // State of the post before the change was applied
+  title: String,
+  content: String,
+  contentFormat: String,
+  contentSource: String,
+  category: String,
+  tags: [String],
+  job: mongoose.Schema.Types.Mixed,
+  mediaUrl: String,
+  mediaType: String,
+  mediaImage: mongoose.Schema.Types.Mixed,
+  isActive: Boolean,
+  status: String,
+  publishAt: Date,
+  // Who made the change that replaced this state, and what it touched
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  editedByName: {
+    type: String,
+    default: 'unknown'
+  },
+  changedFields: [String],
+  note: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+postRevisionSchema.index({ post: 1, rev: -1 }, { unique: true });
+
+const PostRevision = mongoose.model('PostRevision', postRevisionSchema);
+
+// --- Likes ---
+// One document per reader per post; post.likes is a counter kept in step with these
+const likeSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // "user:<id>" for signed-in readers, "visitor:<fingerprint>" for anonymous ones
+  liker: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+likeSchema.index({ post: 1, liker: 1 }, { unique: true });
+
+const Like = mongoose.model('Like', likeSchema);
+
+// --- View Analytics ---
+// A view event lives for the dedupe window; while it exists, the same reader viewing the post again is not counted
+const viewEventSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  visitor: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// One event per reader and post; an expired event is renewed in place until the TTL monitor removes it
+viewEventSchema.index({ post: 1, visitor: 1 }, { unique: true });
+viewEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ViewEvent = mongoose.model('ViewEvent', viewEventSchema);
+
+// Counted views rolled up per post, UTC day and referrer
+const postViewDailySchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  day: {
+    type: Date,
+    required: true
+  },
+  // Referring site's hostname, "internal" for links within the blog, or "direct"
+  referrer: {
+    type: String,
+    default: 'direct'
+  },
+  // The post's category when the views happened
+  category: String,
+  views: {
+    type: Number,
+    default: 0
+  }
+});
+
+postViewDailySchema.index({ post: 1, day: 1, referrer: 1 }, { unique: true });
+postViewDailySchema.index({ day: 1 });
+
+const PostViewDaily = mongoose.model('PostViewDaily', postViewDailySchema);
+
+// --- Newsletter Subscribers ---
+const SUBSCRIBER_STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+const CONFIRM_TOKEN_TTL_MS = 48 * 60 * 60 * 1000;
+const CONFIRM_RESEND_AFTER_MS = 60 * 60 * 1000; // A pending address gets at most one confirmation email per hour
+
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+const subscriberSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [254, 'Email cannot exceed 254 characters'],
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email address']
+  },
+  // Category names to include; empty means every category
+  categories: {
+    type: [String],
+    default: []
+  },
+  frequency: {
+    type: String,
+    enum: DIGEST_FREQUENCIES,
+    default: 'weekly'
+  },
+  status: {
+    type: String,
+    enum: SUBSCRIBER_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  confirmToken: {
+    type: String,
+    index: true,
+    select: false
+  },
+  confirmTokenExpires: {
+    type: Date,
+    select: false
+  },
+  confirmationSentAt: Date,
+  // Long-lived; carried in every digest for one-click unsubscribe and preference changes
+  unsubscribeToken: {
+    type: String,
+    unique: true,
+    default: newToken
+  },
+  confirmedAt: Date,
+  // Posts published after this go into the next digest
+  lastDigestAt: Date
+}, {
+  timestamps: true
+});
+
+const Subscriber = mongoose.model('Subscriber', subscriberSchema);
+
+// --- Push Subscriptions ---
+const pushSubscriptionSchema = new mongoose.Schema({
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  // Category names to notify about; empty means every category
+  categories: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  lastSuccessAt: Date
+}, {
+  timestamps: true
+});
+
+const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+
+// --- Feed Sources ---
+const FEED_MIN_INTERVAL_MINUTES = 5;
+const FEED_LOG_RETENTION_DAYS = parseInt(process.env.FEED_LOG_RETENTION_DAYS) || 30;
+
+const feedSourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [80, 'Name cannot exceed 80 characters']
+  },
+  // Stable key stored as post.source ("feed:<key>"), so renaming a source keeps its dedupe history
+  key: {
+    type: String,
+    unique: true,
+    immutable: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Feed URL is required'],
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  intervalMinutes: {
+    type: Number,
+    default: 60,
+    min: [FEED_MIN_INTERVAL_MINUTES, `Interval must be at least ${FEED_MIN_INTERVAL_MINUTES} minutes`]
+  },
+  rules: {
+    category: { type: String, required: [true, 'rules.category is required'] },
+    tags: { type: [String], default: [] },
+    status: { type: String, enum: FEED_POST_STATUSES, default: 'draft' },
+    titleRewrites: [{
+      _id: false,
+      pattern: String,
+      replacement: String,
+      flags: String
+    }],
+    contentTemplate: String
+  },
+  nextFetchAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastFetchedAt: Date,
+  lastSuccessAt: Date,
+  lastError: String,
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  // Conditional GET validators from the last successful fetch
+  etag: String,
+  lastModified: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+feedSourceSchema.index({ enabled: 1, nextFetchAt: 1 });
+
+feedSourceSchema.pre('validate', function(next) {
+  if (!this.key && this.name) {
+    this.key = `${slugify(this.name).slice(0, 40)}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+  next();
+});
+
+const FeedSource = mongoose.model('FeedSource', feedSourceSchema);
+
+const feedFetchLogSchema = new mongoose.Schema({
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeedSource',
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  status: {
+    type: String,
+    enum: ['ok', 'not-modified', 'error'],
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  durationMs: Number,
+  httpStatus: Number,
+  entries: { type: Number, default: 0 },
+  created: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  error: String,
+  // Entries that could not be turned into posts
+  itemErrors: [{
+    _id: false,
+    guid: String,
+    title: String,
+    message: String
+  }]
+});
+
+feedFetchLogSchema.index({ source: 1, startedAt: -1 });
+feedFetchLogSchema.index({ startedAt: 1 }, { expireAfterSeconds: FEED_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+const FeedFetchLog = mongoose.model('FeedFetchLog', feedFetchLogSchema);
+
+// Every GUID a source has produced, so entries whose post was deleted are not imported again
+const feedEntrySchema = new mongoose.Schema({
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeedSource',
+    required: true
+  },
+  guid: {
+    type: String,
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+feedEntrySchema.index({ source: 1, guid: 1 }, { unique: true });
+
+const FeedEntry = mongoose.model('FeedEntry', feedEntrySchema);
+
+// --- Authentication ---
+const jwtSecret = (name) => {
+  if (process.env[name]) return process.env[name];
+  console.warn(`Warning: ${name} not set in environment variables. Sessions will not survive a restart.`);
+  return crypto.randomBytes(48).toString('hex');
+};
+
+const authConfig = {
+  accessSecret: jwtSecret('JWT_SECRET'),
+  refreshSecret: jwtSecret('JWT_REFRESH_SECRET'),
+  accessTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTtl: process.env.REFRESH_TOKEN_TTL || '7d'
+};
+
+const issueTokens = (user) => ({
+  accessToken: jwt.sign(
+    { sub: user._id.toString(), username: user.username },
+    authConfig.accessSecret,
+    { expiresIn: authConfig.accessTtl }
+  ),
+  refreshToken: jwt.sign(
+    { sub: user._id.toString(), ver: user.tokenVersion || 0 },
+    authConfig.refreshSecret,
+    { expiresIn: authConfig.refreshTtl }
+  ),
+  tokenType: 'Bearer',
+  expiresIn: authConfig.accessTtl
+});
+
+const readBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Attaches req.user when a valid access token is present, but never rejects
+const optionalAuth = async (req, res, next) => {
+  const token = readBearerToken(req);
+  if (!token) return next();
+
+  try {
+    const payload = jwt.verify(token, authConfig.accessSecret);
+    const user = await User.findById(payload.sub);
+    if (user) {
+      req.user = user;
+      req.role = user.role;
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous here
+  }
+  next();
+};
+
+// --- Rate Limiting ---
+// Fixed-window counters held in memory, so each server instance enforces its own limits
+const createRateLimiter = ({ windowMs, max }) => {
+  const windows = new Map();
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }, windowMs).unref();
+
+  // True while `key` is within its allowance for the current window
+  return (key) => {
+    const now = Date.now();
+    const entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      windows.set(key, { count: 1, resetAt: now + windowMs });
+      return true;
+    }
+    entry.count += 1;
+    return entry.count <= max;
+  };
+};
+
+// --- Visitors ---
+// Anonymous readers are told apart by a keyed hash of IP address and user agent; raw IPs are never stored
+const visitorKey = process.env.VISITOR_SALT || authConfig.accessSecret;
+
+const visitorFingerprint = (req) => crypto
+  .createHmac('sha256', visitorKey)
+  .update(`${req.ip}|${req.get('user-agent') || ''}`)
+  .digest('hex')
+  .slice(0, 32);
+
+const likerId = (req) => req.user ? `user:${req.user._id}` : `visitor:${visitorFingerprint(req)}`;
+
+// Ids (as strings) of the given posts the current reader has liked
+const likedPostIds = async (req, postIds) => {
+  if (postIds.length === 0) return new Set();
+  const likes = await Like.find({ post: { $in: postIds }, liker: likerId(req) }).select('post').lean();
+  return new Set(likes.map(like => String(like.post)));
+};
+
+// --- View Counting ---
+const VIEW_DEDUPE_WINDOW_MS = (parseInt(process.env.VIEW_DEDUPE_WINDOW_MINUTES) || 30) * 60 * 1000;
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|scrape|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python-|java\/|go-http-client|okhttp|axios|node-fetch|httpclient/i;
+
+const isBot = (req) => {
+  const userAgent = req.get('user-agent') || '';
+  const purpose = req.get('sec-purpose') || req.get('purpose') || '';
+  return !userAgent || BOT_USER_AGENT.test(userAgent) || /prefetch|prerender/i.test(purpose);
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// The SPA passes document.referrer explicitly; the Referer header of an API call is the blog itself
+const referrerLabel = (req, referrer) => {
+  let host;
+  try {
+    host = new URL(referrer).hostname.replace(/^www\./, '').toLowerCase();
+  } catch (error) {
+    return 'direct';
+  }
+  const ownHost = new URL(siteUrl(req)).hostname.replace(/^www\./, '').toLowerCase();
+  return host === ownHost ? 'internal' : host.slice(0, 100);
+};
+
+// Counts a view unless it comes from a bot or the same reader viewed the post within the window; returns whether it counted
+const recordView = async (req, post, referrer) => {
+  if (isBot(req)) return false;
+
+  const now = new Date();
+  const event = { post: post._id, visitor: likerId(req) };
+  const expiresAt = new Date(now.getTime() + VIEW_DEDUPE_WINDOW_MS);
+
+  // Renew an event whose window has passed (the TTL monitor only runs every minute), otherwise start one.
+  // Only one of several concurrent requests can do either, so the same view is never counted twice
+  const renewed = await ViewEvent.updateOne({ ...event, expiresAt: { $lte: now } }, { $set: { expiresAt } });
+  if (renewed.modifiedCount === 0) {
+    try {
+      await ViewEvent.create({ ...event, expiresAt });
+    } catch (error) {
+      if (error.code === 11000) return false; // Viewed within the window
+      throw error;
+    }
+  }
+
+  // A view is not an edit: updatedAt feeds the sitemap lastmod and the feeds' <updated>, so it stays put
+  await Promise.all([
+    Post.updateOne({ _id: post._id }, { $inc: { views: 1 } }, { timestamps: false }),
+    PostViewDaily.updateOne(
+      { post: post._id, day: startOfUtcDay(now), referrer: referrerLabel(req, referrer) },
+      { $inc: { views: 1 }, $setOnInsert: { category: post.category } },
+      { upsert: true }
+    )
+  ]);
+  return true;
+};
+
+// Requires either a logged-in user (Bearer token) or the automation API key
+const requireAuth = async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+
+  if (apiKey) {
+    if (process.env.API_SECRET_KEY && apiKey === process.env.API_SECRET_KEY) {
+      req.apiClient = true;
+      req.role = API_KEY_ROLE;
+      return next();
+    }
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized: Invalid API Key'
+    });
+  }
+
+  const token = readBearerToken(req);
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    const payload = jwt.verify(token, authConfig.accessSecret);
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account no longer exists'
+      });
+    }
+    req.user = user;
+    req.role = user.role;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Session expired' : 'Invalid token',
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+    });
+  }
+};
+
+// Must run after requireAuth; passes when the caller's role has any of the permissions
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (permissions.some(permission => hasPermission(req.role, permission))) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Forbidden: your role does not allow this action'
+  });
+};
+
+// Checks the any/own variant of an action (e.g. 'edit', 'delete') against a loaded post
+const canModifyPost = (req, post, action) => {
+  if (hasPermission(req.role, `post:${action}:any`)) return true;
+  return hasPermission(req.role, `post:${action}:own`) &&
+    !!req.user && !!post.author && post.author.equals(req.user._id);
+};
+
+// Works out the status a write asks for; roles without publish rights may only keep drafts
+const resolveLifecycle = (req, { status, publishAt }, current = {}) => {
+  const canPublish = hasPermission(req.role, 'post:publish');
+  const nextStatus = status || current.status || (canPublish ? 'published' : 'draft');
+
+  if (!POST_STATUSES.includes(nextStatus)) {
+    return { status: 400, message: 'Status must be one of: ' + POST_STATUSES.join(', ') };
+  }
+
+  if (nextStatus !== 'draft' && nextStatus !== current.status && !canPublish) {
+    return { status: 403, message: 'Forbidden: your role can only save drafts' };
+  }
+
+  if (nextStatus === 'scheduled') {
+    const date = new Date(publishAt || current.publishAt);
+    if (isNaN(date.getTime())) {
+      return { status: 400, message: 'publishAt is required to schedule a post' };
+    }
+    if (date <= new Date() && nextStatus !== current.status) {
+      return { status: 400, message: 'publishAt must be in the future' };
+    }
+    return { lifecycle: { status: nextStatus, publishAt: date } };
+  }
+
+  return {
+    lifecycle: {
+      status: nextStatus,
+      publishAt: undefined,
+      ...(nextStatus === 'published' && { publishedAt: current.publishedAt || new Date() })
+    }
+  };
+};
+
+// --- Request logging middleware (optional) ---
+const requestLogger = (req, res, next) => {
+  const timestamp = new Date().toISOString();
+  const method = req.method;
+  const url = req.originalUrl;
+  const ip = req.ip || req.connection.remoteAddress;
+  
+  // Only log API requests in production
+  if (req.originalUrl.startsWith('/api/') || process.env.NODE_ENV === 'development') {
+    console.log(`${timestamp} - ${method} ${url} - ${ip}`);
+  }
+  
+  next();
+};
+
+app.use(requestLogger);
+
+// --- Error handling middleware ---
+const errorHandler = (err, req, res, next) => {
+  console.error('Error:', err.message);
+  
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: 'File size too large. Maximum size is 10MB.'
+      });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Unexpected file field. Please use "mediaFile" as the field name.'
+      });
+    }
+  }
+  
+  if (err.name === 'ValidationError') {
+    const errors = Object.values(err.errors).map(e => e.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation Error',
+      errors
+    });
+  }
+  
+  if (err.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+  }
+  
+  if (err.name === 'MongoServerError' && err.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Duplicate entry found'
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+  });
+};
+
+// --- API Routes ---
+
+// Register a new account
+app.post('/api/auth/register', async (req, res, next) => {
+  try {
+    const { username, email, password } = req.body;
+
+    if ([username, email, password].some(value => typeof value !== 'string') ||
+        !username.trim() || !email.trim() || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username, email, and password are required'
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters'
+      });
+    }
+
+    const existing = await User.findOne({
+      $or: [{ username: username.toLowerCase().trim() }, { email: email.toLowerCase().trim() }]
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username or email is already registered'
+      });
+    }
+
+    const user = new User({ username, email, role: 'reader' });
+    await user.setPassword(password);
+    await user.save();
+
+    // The very first account bootstraps the site as its admin. Deciding after the insert means two
+    // concurrent first registrations agree on a single oldest account instead of both becoming admin
+    const firstUser = await User.findOne().sort({ _id: 1 }).select('_id');
+    if (firstUser._id.equals(user._id)) {
+      user.role = 'admin';
+      await user.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: {
+        user: user.toPublicJSON(),
+        ...issueTokens(user)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return next(error);
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating account',
+      error: error.message
+    });
+  }
+});
+
+// Log in with username (or email) and password
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username.trim() || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username and password are required'
+      });
+    }
+
+    const login = username.toLowerCase().trim();
+    const user = await User.findOne({ $or: [{ username: login }, { email: login }] })
+      .select('+passwordHash +tokenVersion');
+
+    if (!user || !(await user.checkPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        user: user.toPublicJSON(),
+        ...issueTokens(user)
+      }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refresh token is required'
+    });
+  }
+
+  try {
+    const payload = jwt.verify(refreshToken, authConfig.refreshSecret);
+    const user = await User.findById(payload.sub).select('+tokenVersion');
+
+    if (!user || (user.tokenVersion || 0) !== payload.ver) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: user.toPublicJSON(),
+        ...issueTokens(user)
+      }
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid or expired refresh token'
+    });
+  }
+});
+
+// Log out everywhere by revoking all refresh tokens
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    if (req.user) {
+      await User.findByIdAndUpdate(req.user._id, { $inc: { tokenVersion: 1 } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message
+    });
+  }
+});
+
+// Get the current user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  if (!req.user) {
+    return res.status(400).json({
+      success: false,
+      message: 'API key clients have no user profile'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: req.user.toPublicJSON()
+  });
+});
+
+// List users and their roles (admin only)
+app.get('/api/users', requireAuth, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: users.map(user => user.toPublicJSON()),
+      roles: ROLE_PERMISSIONS
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: error.message
+    });
+  }
+});
+
+// Change a user's role (admin only)
+app.patch('/api/users/:id/role', requireAuth, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be one of: ' + ROLES.join(', ')
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot demote the last remaining admin'
+        });
+      }
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `Role updated to ${role}`,
+      data: user.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role',
+      error: error.message
+    });
+  }
+});
+
+const LIST_TEXT_PARAMS = ['category', 'tag', 'open', 'closingWithin', 'search', 'sortBy', 'sortOrder', 'status', 'active'];
+
+// Turns list parameters into a Mongo query; shared by GET /api/posts and the feeds
+const buildPostListQuery = (req, params) => {
+  // Repeated or bracketed parameters (?search[]=x, ?category[$ne]=x) arrive as arrays or objects
+  const invalid = LIST_TEXT_PARAMS.find(name => params[name] !== undefined && typeof params[name] !== 'string');
+  if (invalid) {
+    return { error: { status: 400, message: `${invalid} must be a single value` } };
+  }
+  
+  const page = Math.max(1, parseInt(params.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(params.limit) || 10)); // Max 50 posts per page
+  const category = params.category;
+  const tag = params.tag ? normalizeTag(params.tag) : null;
+  const open = params.open === 'true';
+  const closingWithin = params.closingWithin || null;
+  const search = (params.search || '').trim().slice(0, MAX_SEARCH_LENGTH);
+  const sortBy = params.sortBy || (search ? 'relevance' : 'createdAt'); // relevance, createdAt, likes, views, title, deadline, trending
+  const sortOrder = (params.sortOrder || (sortBy === 'deadline' ? 'asc' : 'desc')) === 'asc' ? 1 : -1; // Deadlines soonest first
+  const status = params.status || 'published';
+  const active = params.active || 'true'; // true, false or all; inactive posts are soft-deleted
+  
+  // Build query
+  let query = { ...PUBLISHED_FILTER }; // Readers only ever see published posts
+  
+  if (status !== 'published' || active !== 'true') {
+    if (status !== 'all' && !POST_STATUSES.includes(status)) {
+      return { error: { status: 400, message: 'Status must be one of: all, ' + POST_STATUSES.join(', ') } };
+    }
+    if (!['true', 'false', 'all'].includes(active)) {
+      return { error: { status: 400, message: 'active must be true, false or all' } };
+    }
+    
+    const canSeeAll = hasPermission(req.role, 'post:edit:any');
+    if (!canSeeAll && !(req.user && hasPermission(req.role, 'post:edit:own'))) {
+      return { error: { status: 403, message: 'Forbidden: only contributors can list unpublished posts' } };
+    }
+    
+    query = {};
+    if (active !== 'all') query.isActive = active === 'true';
+    if (status === 'published') query.status = PUBLISHED_FILTER.status;
+    else if (status !== 'all') query.status = status;
+    if (!canSeeAll) query.author = req.user._id; // Authors only see their own drafts
+  }
+  
+  if (category && category !== 'all') {
+    query.category = categoryName(category); // Accepts the name or its slug
+  }
+  
+  if (tag) {
+    query.tags = tag;
+  }
+  
+  const deadline = deadlineFilter({ open, closingWithin }, new Date());
+  if (deadline.error) {
+    return { error: { status: 400, message: deadline.error } };
+  }
+  Object.assign(query, deadline.filter);
+  
+  // $text handles phrases ("admit card") and exclusions (-upsc) itself, and never runs user regexes
+  if (search && parseSearchTerms(search).length > 0) {
+    query.$text = { $search: search };
+  }
+  
+  // Build sort object
+  let sortObj = {};
+  if (sortBy === 'relevance' && query.$text) {
+    sortObj.score = { $meta: 'textScore' };
+  } else if (sortBy === 'deadline') {
+    sortObj['job.applicationEnd'] = sortOrder;
+  } else if (sortBy === 'trending') {
+    sortObj.trendingScore = sortOrder;
+  } else if (sortBy !== 'relevance') {
+    sortObj[sortBy] = sortOrder;
+  }
+  if (sortBy !== 'createdAt') {
+    sortObj['createdAt'] = -1; // Secondary sort by creation date
+  }
+  
+  return {
+    query,
+    projection: query.$text ? { score: { $meta: 'textScore' } } : {},
+    sort: sortObj,
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    echo: {
+      search: search || null,
+      category: category || 'all',
+      tag,
+      open,
+      closingWithin,
+      status,
+      active,
+      sortBy,
+      sortOrder: sortOrder === 1 ? 'asc' : 'desc'
+    }
+  };
+};
+
+// Get all posts with pagination and filtering
+app.get('/api/posts', optionalAuth, async (req, res) => {
+  try {
+    const { error, query, projection, sort, page, limit, skip, echo } = buildPostListQuery(req, req.query);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    const posts = await Post.find(query, projection)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate('author', 'username')
+      .select('-__v') // Exclude version key
+      .lean();
+      
+    const total = await Post.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+    
+    // Search results carry highlighted title/excerpt HTML alongside the post
+    const liked = await likedPostIds(req, posts.map(post => post._id));
+    const data = posts.map(post => ({
+      ...post,
+      liked: liked.has(String(post._id)),
+      ...(echo.search && { highlight: highlightPost(post, echo.search) })
+    }));
+    
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalPosts: total,
+        hasMore: page < totalPages,
+        limit
+      },
+      query: echo
+    });
+  } catch (error) {
+    console.error('Error fetching posts:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error fetching posts',
+      error: error.message 
+    });
+  }
+});
+
+// --- Trending ---
+// Each view and like counts for less as it ages, halving every TRENDING_HALF_LIFE_HOURS, so old hits fade out
+const TRENDING_HALF_LIFE_MS = (parseFloat(process.env.TRENDING_HALF_LIFE_HOURS) || 24) * 60 * 60 * 1000;
+const TRENDING_LIKE_WEIGHT = parseFloat(process.env.TRENDING_LIKE_WEIGHT) || 5; // One like is worth this many views
+const TRENDING_REFRESH_MS = (parseInt(process.env.TRENDING_REFRESH_MINUTES) || 15) * 60 * 1000;
+const TRENDING_LOOKBACK_MS = Math.min(30 * DAY_MS, 7 * TRENDING_HALF_LIFE_MS); // Older activity is under 1% of its weight
+const TRENDING_CARD_FIELDS = 'title slug category tags mediaUrl mediaType likes views trendingScore publishedAt createdAt job';
+let lastTrendingRun = 0;
+
+// weight * 0.5^(age / half-life), as an aggregation expression
+const decayedWeight = (now, date, weight) => ({
+  $multiply: [weight, { $pow: [0.5, { $divide: [{ $subtract: [now, date] }, TRENDING_HALF_LIFE_MS] }] }]
+});
+
+const computeTrendingScores = async () => {
+  const now = new Date();
+  const since = new Date(now.getTime() - TRENDING_LOOKBACK_MS);
+
+  const [views, likes] = await Promise.all([
+    // Daily buckets are aged from their midpoint (or now, for today's)
+    PostViewDaily.aggregate([
+      { $match: { day: { $gte: startOfUtcDay(since) } } },
+      { $group: {
+        _id: '$post',
+        score: { $sum: decayedWeight(now, { $min: [now, { $add: ['$day', DAY_MS / 2] }] }, '$views') }
+      } }
+    ]),
+    Like.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: '$post', score: { $sum: decayedWeight(now, '$createdAt', TRENDING_LIKE_WEIGHT) } } }
+    ])
+  ]);
+
+  const scores = new Map();
+  for (const { _id, score } of [...views, ...likes]) {
+    scores.set(String(_id), (scores.get(String(_id)) || 0) + score);
+  }
+
+  const ids = [...scores.keys()];
+  if (ids.length > 0) {
+    await Post.bulkWrite(ids.map(id => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { trendingScore: Math.round(scores.get(id) * 1000) / 1000 } },
+        timestamps: false
+      }
+    })), { ordered: false });
+  }
+  // Posts with no recent activity drop out of the ranking
+  await Post.updateMany({ trendingScore: { $gt: 0 }, _id: { $nin: ids } }, { $set: { trendingScore: 0 } }, { timestamps: false });
+
+  return ids.length;
+};
+
+const refreshTrendingScores = async () => {
+  if (mongoose.connection.readyState !== 1 || Date.now() - lastTrendingRun < TRENDING_REFRESH_MS) return;
+  lastTrendingRun = Date.now();
+
+  try {
+    await computeTrendingScores();
+  } catch (error) {
+    console.error('Error computing trending scores:', error.message);
+  }
+};
+
+// Published posts ranked by trending score: ?category=&limit= (max 50)
+app.get('/api/posts/trending', optionalAuth, async (req, res) => {
+  try {
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+    const query = { ...PUBLISHED_FILTER, trendingScore: { $gt: 0 } };
+    if (req.query.category && req.query.category !== 'all') {
+      query.category = categoryName(req.query.category);
+    }
+
+    const posts = await Post.find(query)
+      .sort({ trendingScore: -1, publishedAt: -1 })
+      .limit(limit)
+      .select(TRENDING_CARD_FIELDS)
+      .lean();
+    const liked = await likedPostIds(req, posts.map(post => post._id));
+
+    res.json({
+      success: true,
+      data: posts.map(post => ({ ...post, liked: liked.has(String(post._id)) })),
+      halfLifeHours: TRENDING_HALF_LIFE_MS / (60 * 60 * 1000)
+    });
+  } catch (error) {
+    console.error('Error fetching trending posts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trending posts',
+      error: error.message
+    });
+  }
+});
+
+// --- Trash ---
+// Soft-deleted posts stay restorable for TRASH_RETENTION_DAYS before the scheduler purges them; 0 keeps them forever
+const TRASH_RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS === undefined || process.env.TRASH_RETENTION_DAYS === ''
+  ? 30
+  : Math.max(0, parseInt(process.env.TRASH_RETENTION_DAYS) || 0);
+const TRASH_PURGE_BATCH_SIZE = 50;
+
+const trashPurgeDate = (post) => TRASH_RETENTION_DAYS && post.deletedAt
+  ? new Date(new Date(post.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS)
+  : null;
+
+const purgeTrash = async () => {
+  if (mongoose.connection.readyState !== 1 || !TRASH_RETENTION_DAYS) return;
+
+  try {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+    const expired = await Post.find({ isActive: false, deletedAt: { $lte: cutoff } })
+      .select('_id mediaUrl')
+      .limit(TRASH_PURGE_BATCH_SIZE);
+
+    for (const post of expired) {
+      await hardDeletePost(post);
+    }
+    if (expired.length > 0) {
+      console.log(`🗑️  Purged ${expired.length} posts from the trash`);
+    }
+  } catch (error) {
+    console.error('Error purging trash:', error.message);
+  }
+};
+
+// List trashed posts, newest first; authors who can only delete their own posts see just theirs
+app.get('/api/posts/trash', requireAuth, requirePermission('post:delete:any', 'post:delete:own'), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const query = { isActive: false };
+    if (!hasPermission(req.role, 'post:delete:any')) {
+      query.author = req.user._id;
+    }
+
+    const [posts, total] = await Promise.all([
+      Post.find(query)
+        .sort({ deletedAt: -1, updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('title slug category status mediaUrl mediaType author deletedAt createdAt updatedAt')
+        .populate('author', 'username')
+        .lean(),
+      Post.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: posts.map(post => ({ ...post, purgeAt: trashPurgeDate(post) })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalPosts: total,
+        hasMore: page < totalPages,
+        limit
+      },
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash',
+      error: error.message
+    });
+  }
+});
+
+// Restore a trashed post; it comes back with the status it had when it was deleted
+app.post('/api/posts/:id/restore', requireAuth, requirePermission('post:delete:any', 'post:delete:own'), async (req, res) => {
+  try {
+    const post = mongoose.isValidObjectId(req.params.id) && await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!canModifyPost(req, post, 'delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: you can only restore your own posts'
+      });
+    }
+
+    if (post.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Post is not in the trash'
+      });
+    }
+
+    post.isActive = true;
+    post.updatedAt = new Date();
+    const saved = await post.save();
+
+    res.json({
+      success: true,
+      message: 'Post restored',
+      data: saved
+    });
+  } catch (error) {
+    console.error('Error restoring post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring post',
+      error: error.message
+    });
+  }
+});
+
+// Shared by the id and slug lookups: visibility rules plus view counting (?ref= carries document.referrer)
+const sendPost = async (req, res, post) => {
+  const isPreview = !!post && post.isActive && !isPublished(post) &&
+    canModifyPost(req, { author: post.author?._id }, 'edit');
+  
+  if (!isPublished(post) && !isPreview) {
+    return res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+  }
+  
+  // Count the view (contributors previewing unpublished posts are not counted)
+  if (!isPreview && await recordView(req, post, req.query.ref)) {
+    post.views += 1; // Update the returned post object
+  }
+  
+  const liked = await Like.exists({ post: post._id, liker: likerId(req) });
+  res.json({
+    success: true,
+    data: { ...post.toJSON(), liked: Boolean(liked) }
+  });
+};
+
+// Get single post by slug; old slugs redirect to the current one
+app.get('/api/posts/by-slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const post = await Post.findOne({ slug }).populate('author', 'username').select('-__v');
+    
+    if (!post) {
+      const renamed = await Post.findOne({ previousSlugs: slug }).select('slug isActive status');
+      if (isPublished(renamed)) {
+        return res.redirect(301, `/api/posts/by-slug/${renamed.slug}`);
+      }
+    }
+    
+    await sendPost(req, res, post);
+  } catch (error) {
+    console.error('Error fetching post by slug:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching post',
+      error: error.message
+    });
+  }
+});
+
+// Get single post and increment view count
+app.get('/api/posts/:id', optionalAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).populate('author', 'username').select('-__v');
+    await sendPost(req, res, post);
+  } catch (error) {
+    console.error('Error fetching post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching post',
+      error: error.message
+    });
+  }
+});
+
+// Count a view of a post opened from a list, where the post data is already loaded. Body: { referrer }
+app.post('/api/posts/:id/view', optionalAuth, async (req, res) => {
+  try {
+    const post = mongoose.isValidObjectId(req.params.id) && await Post.findById(req.params.id).select('isActive status category views');
+    if (!isPublished(post)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const counted = await recordView(req, post, req.body.referrer);
+
+    res.json({
+      success: true,
+      data: { _id: post._id, views: post.views + (counted ? 1 : 0), counted }
+    });
+  } catch (error) {
+    console.error('Error recording view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording view',
+      error: error.message
+    });
+  }
+});
+
+// --- Analytics Queries ---
+const MAX_ANALYTICS_DAYS = 366;
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// ?from=&to= as inclusive UTC dates (YYYY-MM-DD); defaults to the last `defaultDays` days
+const parseDayRange = ({ from, to }, defaultDays = 30) => {
+  const parseDay = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return isNaN(date.getTime()) ? null : date;
+  };
+
+  const end = to ? parseDay(String(to)) : startOfUtcDay(new Date());
+  if (!end) return { error: 'to must be a date (YYYY-MM-DD)' };
+  const start = from ? parseDay(String(from)) : new Date(end.getTime() - (defaultDays - 1) * DAY_MS);
+  if (!start) return { error: 'from must be a date (YYYY-MM-DD)' };
+  if (start > end) return { error: 'from must not be after to' };
+
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  if (days > MAX_ANALYTICS_DAYS) return { error: `The range cannot exceed ${MAX_ANALYTICS_DAYS} days` };
+
+  return { from: start, to: end, until: new Date(end.getTime() + DAY_MS), days };
+};
+
+// One entry per day in the range; counts: { field: Map('YYYY-MM-DD' => n) }
+const fillSeries = (range, counts) => Array.from({ length: range.days }, (_, index) => {
+  const date = dayKey(new Date(range.from.getTime() + index * DAY_MS));
+  const entry = { date };
+  for (const [field, byDay] of Object.entries(counts)) entry[field] = byDay.get(date) || 0;
+  return entry;
+});
+
+const countsByDay = (rows) => new Map(rows.map(row => [row._id, row.count]));
+
+const dailyViews = (match) => PostViewDaily.aggregate([
+  { $match: match },
+  { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$day' } }, count: { $sum: '$views' } } }
+]);
+
+const dailyCount = (Model, match, dateField) => Model.aggregate([
+  { $match: match },
+  { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}` } }, count: { $sum: 1 } } }
+]);
+
+const topReferrers = (match, limit = 10) => PostViewDaily.aggregate([
+  { $match: match },
+  { $group: { _id: '$referrer', views: { $sum: '$views' } } },
+  { $sort: { views: -1 } },
+  { $limit: limit },
+  { $project: { _id: 0, referrer: '$_id', views: 1 } }
+]);
+
+// Daily views and likes for one post, with its referrers (authors see their own posts, editors any)
+app.get('/api/posts/:id/analytics', requireAuth, requirePermission('post:edit:any', 'post:edit:own'), async (req, res) => {
+  try {
+    const post = mongoose.isValidObjectId(req.params.id) && await Post.findById(req.params.id).select('title slug category author views likes');
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!canModifyPost(req, post, 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: you can only view analytics for your own posts'
+      });
+    }
+
+    const range = parseDayRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const viewMatch = { post: post._id, day: { $gte: range.from, $lte: range.to } };
+    const [views, likes, referrers] = await Promise.all([
+      dailyViews(viewMatch),
+      dailyCount(Like, { post: post._id, createdAt: { $gte: range.from, $lt: range.until } }, 'createdAt'),
+      topReferrers(viewMatch)
+    ]);
+    const series = fillSeries(range, { views: countsByDay(views), likes: countsByDay(likes) });
+
+    res.json({
+      success: true,
+      data: {
+        post: { _id: post._id, title: post.title, slug: post.slug, category: post.category },
+        range: { from: dayKey(range.from), to: dayKey(range.to) },
+        totals: {
+          views: series.reduce((sum, day) => sum + day.views, 0),
+          likes: series.reduce((sum, day) => sum + day.likes, 0),
+          lifetimeViews: post.views,
+          lifetimeLikes: post.likes
+        },
+        series,
+        referrers
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching post analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching post analytics',
+      error: error.message
+    });
+  }
+});
+
+// Render content exactly as it would be saved, for the editor's live preview
+app.post('/api/posts/preview', requireAuth, requirePermission('post:create', 'post:edit:any', 'post:edit:own'), (req, res) => {
+  const { content = '', contentFormat = 'html' } = req.body;
+
+  if (!CONTENT_FORMATS.includes(contentFormat)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Content format must be html or markdown'
+    });
+  }
+
+  const rendered = renderPostContent(contentFormat, content);
+
+  res.json({
+    success: true,
+    data: rendered
+  });
+});
+
+// Create new post
+app.post('/api/posts', requireAuth, requirePermission('post:create'), upload.single('mediaFile'), discardUploadOnError, async (req, res) => {
+  try {
+    const { title, content, category, tags, job, contentFormat = 'html', status, publishAt } = req.body;
+    
+    const invalidField = nonStringField(req.body, ['title', 'content', 'category']);
+    if (invalidField) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidField} must be a string`
+      });
+    }
+    
+    // Validate required fields
+    if (!title?.trim() || !content?.trim() || !category?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title, content, and category are required'
+      });
+    }
+    
+    if (!CONTENT_FORMATS.includes(contentFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content format must be html or markdown'
+      });
+    }
+    
+    const { lifecycle, ...lifecycleError } = resolveLifecycle(req, { status, publishAt });
+    if (!lifecycle) {
+      return res.status(lifecycleError.status).json({
+        success: false,
+        message: lifecycleError.message
+      });
+    }
+    
+    const postCategory = await findCategory(category);
+    if (!postCategory) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown category "${category.trim()}"`
+      });
+    }
+    
+    const postTags = normalizeTags(tags);
+    if (postTags.length > MAX_TAGS) {
+      return res.status(400).json({
+        success: false,
+        message: `A post can have at most ${MAX_TAGS} tags`
+      });
+    }
+    
+    const jobDetails = parseJob(job);
+    if (jobDetails.error) {
+      return res.status(400).json({
+        success: false,
+        message: jobDetails.error
+      });
+    }
+    
+    const sanitized = renderPostContent(contentFormat, content.trim());
+    if (!sanitized.html) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content is empty after removing disallowed HTML',
+        sanitization: { removed: sanitized.removed }
+      });
+    }
+    
+    const { mediaImage, error: mediaError } = req.file
+      ? await processUploadedMedia(`/uploads/${req.file.filename}`, req.file.mimetype)
+      : {};
+    if (mediaError) {
+      return res.status(400).json({
+        success: false,
+        message: mediaError
+      });
+    }
+    
+    const newPost = new Post({
+      title: title.trim(),
+      content: sanitized.html,
+      contentFormat,
+      contentSource: contentFormat === 'markdown' ? content.trim() : undefined,
+      category: postCategory.name,
+      tags: postTags,
+      job: jobDetails.job || undefined,
+      mediaUrl: req.file ? `/uploads/${req.file.filename}` : null,
+      mediaType: req.file ? req.file.mimetype : null,
+      mediaImage: mediaImage || undefined,
+      ...lifecycle,
+      author: req.user ? req.user._id : undefined
+    });
+    
+    const savedPost = await newPost.save();
+    queuePushNotification(savedPost);
+    queueImageVariants(savedPost);
+    
+    res.status(201).json({
+      success: true,
+      message: {
+        draft: 'Draft saved',
+        scheduled: `Post scheduled for ${savedPost.publishAt?.toISOString()}`,
+        archived: 'Post archived'
+      }[savedPost.status] || 'Post created successfully',
+      data: savedPost,
+      sanitization: {
+        modified: sanitized.removed.length > 0,
+        removed: sanitized.removed
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('Error creating post:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error creating post', 
+      error: error.message 
+    });
+  }
+});
+
+// --- Bulk Ingestion ---
+// Automation sends batches keyed by (source, externalId), so a retried job updates instead of duplicating
+const BULK_MAX_ITEMS = 100;
+const BULK_FIELDS = ['title', 'content', 'contentFormat', 'category', 'tags', 'job', 'status', 'publishAt', 'media'];
+
+// Fingerprint of everything an item asks for; an identical re-send is reported as unchanged
+const ingestHash = (item) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(BULK_FIELDS.map(field => item[field] ?? null)))
+  .digest('hex');
+
+// Create or update one item; returns the per-item result and never throws
+const ingestItem = async (req, item, defaultSource) => {
+  const source = String(item?.source || defaultSource || '').trim();
+  const externalId = item?.externalId !== undefined && item?.externalId !== null ? String(item.externalId).trim() : '';
+  const fail = (error) => ({ externalId: externalId || null, source: source || null, result: 'failed', error });
+
+  if (!item || typeof item !== 'object') return fail('Item must be an object');
+  if (!source || !externalId) return fail('source and externalId are required');
+
+  const invalidField = nonStringField(item, ['title', 'content', 'category']);
+  if (invalidField) return fail(`${invalidField} must be a string`);
+
+  let savedMedia = null;
+  try {
+    const existing = await Post.findOne({ source, externalId }).select('+ingestHash +mediaSource');
+    const hash = ingestHash(item);
+    if (existing && existing.ingestHash === hash) {
+      return { externalId, source, result: 'unchanged', id: existing._id, slug: existing.slug };
+    }
+
+    if (existing && !canModifyPost(req, existing, 'edit')) {
+      return fail('Forbidden: you can only edit your own posts');
+    }
+
+    const { title, content, contentFormat = existing?.contentFormat || 'html', category, tags, job, status, publishAt, media } = item;
+    if (!existing && (!title?.trim() || !content?.trim() || !category?.trim())) {
+      return fail('Title, content, and category are required');
+    }
+    if (!CONTENT_FORMATS.includes(contentFormat)) return fail('Content format must be html or markdown');
+
+    const postCategory = category?.trim() ? await findCategory(category) : null;
+    if (category?.trim() && !postCategory) return fail(`Unknown category "${category.trim()}"`);
+
+    const postTags = tags !== undefined ? normalizeTags(tags) : null;
+    if (postTags && postTags.length > MAX_TAGS) return fail(`A post can have at most ${MAX_TAGS} tags`);
+
+    const jobDetails = job !== undefined ? parseJob(job) : null;
+    if (jobDetails?.error) return fail(jobDetails.error);
+
+    const { lifecycle, ...lifecycleError } = resolveLifecycle(req, { status, publishAt }, existing ? {
+      status: existing.status || 'published',
+      publishAt: existing.publishAt,
+      publishedAt: existing.publishedAt
+    } : {});
+    if (!lifecycle) return fail(lifecycleError.message);
+
+    let sanitized = null;
+    if (content?.trim()) {
+      sanitized = renderPostContent(contentFormat, content.trim());
+      if (!sanitized.html) return fail('Content is empty after removing disallowed HTML');
+    }
+
+    // Media is only downloaded again when the item points at a different file
+    const mediaSource = media ? mediaSourceKey(media) : null;
+    if (media && mediaSource !== existing?.mediaSource) savedMedia = await ingestMedia(media);
+
+    const post = existing || new Post({ source, externalId, author: req.user ? req.user._id : undefined });
+    const previous = existing ? existing.toObject() : null;
+
+    if (title?.trim()) post.title = title.trim();
+    if (sanitized) {
+      post.content = sanitized.html;
+      post.contentFormat = contentFormat;
+      post.contentSource = contentFormat === 'markdown' ? content.trim() : undefined;
+    }
+    if (postCategory) post.category = postCategory.name;
+    if (postTags) post.tags = postTags;
+    if (jobDetails) post.job = jobDetails.job || undefined;
+    if (savedMedia) post.set({ ...savedMedia, mediaSource }); // Old media is kept so earlier revisions can be restored
+    post.set(lifecycle);
+    post.ingestHash = hash;
+    if (existing) post.updatedAt = new Date();
+
+    const saved = await saveWithRevision(post, previous, req, `Bulk ingest from ${source}`);
+    if (!previous || !isPublished(previous)) queuePushNotification(saved);
+    queueImageVariants(saved);
+
+    return {
+      externalId,
+      source,
+      result: existing ? 'updated' : 'created',
+      id: saved._id,
+      slug: saved.slug,
+      status: saved.status,
+      ...(sanitized?.removed.length > 0 && { sanitization: { removed: sanitized.removed } })
+    };
+  } catch (error) {
+    if (savedMedia) deleteUploadedFile(savedMedia.mediaUrl);
+    // A concurrent retry created the same item first; report it rather than duplicating
+    if (error.code === 11000) return fail('Another request is ingesting this item; retry to update it');
+    if (error.name === 'ValidationError') {
+      return fail(Object.values(error.errors).map(e => e.message).join(', '));
+    }
+    console.error(`Error ingesting ${source}/${externalId}:`, error);
+    return fail(error.message);
+  }
+};
+
+// Upsert a batch: { source, posts: [{ externalId, title, content, category, tags, job, status, publishAt, media }] }
+app.post('/api/posts/bulk', requireAuth, requirePermission('post:create'), async (req, res) => {
+  try {
+    const { source, posts } = req.body;
+
+    if (!Array.isArray(posts) || posts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'posts must be a non-empty array'
+      });
+    }
+
+    if (posts.length > BULK_MAX_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch can contain at most ${BULK_MAX_ITEMS} posts`
+      });
+    }
+
+    // One at a time, so items in the same batch with the same key resolve in order
+    const results = [];
+    for (const [index, item] of posts.entries()) {
+      results.push({ index, ...(await ingestItem(req, item, source)) });
+    }
+
+    const summary = results.reduce((counts, { result }) => {
+      counts[result] += 1;
+      return counts;
+    }, { created: 0, updated: 0, unchanged: 0, failed: 0 });
+
+    res.status(summary.failed === results.length ? 400 : 200).json({
+      success: summary.failed === 0,
+      message: `${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.failed} failed`,
+      summary,
+      data: results
+    });
+  } catch (error) {
+    console.error('Error ingesting posts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error ingesting posts',
+      error: error.message
+    });
+  }
+});
+
+// Hard delete: the post, everything attached to it and every file any revision used
+const hardDeletePost = async (post) => {
+  const revisionMedia = await PostRevision.distinct('mediaUrl', { post: post._id });
+  new Set([post.mediaUrl, ...revisionMedia]).forEach(deleteUploadedFile);
+  
+  await Post.findByIdAndDelete(post._id);
+  await Comment.deleteMany({ post: post._id });
+  await PostRevision.deleteMany({ post: post._id });
+  await Like.deleteMany({ post: post._id });
+  await ViewEvent.deleteMany({ post: post._id });
+  await PostViewDaily.deleteMany({ post: post._id });
+};
+
+// --- Batch Actions ---
+const BATCH_MAX_POSTS = 100;
+const BATCH_ACTIONS = ['deactivate', 'activate', 'category', 'delete'];
+
+// Apply one action to many posts: { ids, action, category }. Each post is checked and reported on its own
+app.post('/api/posts/batch', requireAuth, requirePermission('post:edit:any', 'post:edit:own', 'post:delete:any', 'post:delete:own'), async (req, res) => {
+  try {
+    const { ids, action } = req.body;
+    
+    if (!BATCH_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be one of: ' + BATCH_ACTIONS.join(', ')
+      });
+    }
+    
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > BATCH_MAX_POSTS) {
+      return res.status(400).json({
+        success: false,
+        message: `ids must be an array of 1 to ${BATCH_MAX_POSTS} post ids`
+      });
+    }
+    
+    if (action === 'delete' && !hasPermission(req.role, 'post:delete:force')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: only admins can permanently delete posts'
+      });
+    }
+    
+    // Same rule as PUT /api/posts/:id: taking a post live or offline is a publishing decision
+    if ((action === 'activate' || action === 'deactivate') && !hasPermission(req.role, 'post:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: you cannot publish or unpublish posts'
+      });
+    }
+    
+    const category = action === 'category' ? await findCategory(req.body.category || '') : null;
+    if (action === 'category' && !category) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown category'
+      });
+    }
+    
+    const results = [];
+    for (const id of [...new Set(ids.map(String))]) {
+      const post = mongoose.isValidObjectId(id) && await Post.findById(id);
+      if (!post) {
+        results.push({ id, result: 'failed', error: 'Post not found' });
+        continue;
+      }
+      
+      if (!canModifyPost(req, post, action === 'category' ? 'edit' : 'delete')) {
+        results.push({ id, result: 'failed', error: 'Forbidden: you can only change your own posts' });
+        continue;
+      }
+      
+      try {
+        if (action === 'delete') {
+          await hardDeletePost(post);
+        } else if (action === 'category') {
+          if (post.category !== category.name) {
+            const previous = post.toObject();
+            post.category = category.name;
+            post.updatedAt = new Date();
+            await saveWithRevision(post, previous, req, `Moved to ${category.label}`);
+          }
+        } else if (post.isActive !== (action === 'activate')) {
+          const previous = post.toObject();
+          post.isActive = action === 'activate';
+          post.updatedAt = new Date();
+          await saveWithRevision(post, previous, req, action === 'activate' ? 'Restored from the trash' : 'Moved to the trash');
+        }
+        results.push({ id, result: 'ok' });
+      } catch (error) {
+        console.error(`Error applying ${action} to post ${id}:`, error);
+        results.push({ id, result: 'failed', error: error.message });
+      }
+    }
+    
+    const failed = results.filter(r => r.result === 'failed').length;
+    res.status(failed === results.length ? 400 : 200).json({
+      success: failed === 0,
+      message: `${results.length - failed} posts updated, ${failed} failed`,
+      data: results
+    });
+  } catch (error) {
+    console.error('Error applying batch action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying batch action',
+      error: error.message
+    });
+  }
+});
+
+// Update post
+app.put('/api/posts/:id', requireAuth, requirePermission('post:edit:any', 'post:edit:own'), upload.single('mediaFile'), discardUploadOnError, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Post not found' 
+      });
+    }
+    
+    if (!canModifyPost(req, post, 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: you can only edit your own posts'
+      });
+    }
+    
+    const { title, content, category, tags, job, isActive, contentFormat, status, publishAt } = req.body;
+    const previous = post.toObject();
+    
+    const invalidField = nonStringField(req.body, ['title', 'content', 'category']);
+    if (invalidField) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidField} must be a string`
+      });
+    }
+    
+    const { lifecycle, ...lifecycleError } = resolveLifecycle(req, { status, publishAt }, {
+      status: post.status || 'published',
+      publishAt: post.publishAt,
+      publishedAt: post.publishedAt
+    });
+    if (!lifecycle) {
+      return res.status(lifecycleError.status).json({
+        success: false,
+        message: lifecycleError.message
+      });
+    }
+    
+    if (contentFormat && !CONTENT_FORMATS.includes(contentFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content format must be html or markdown'
+      });
+    }
+    
+    const postCategory = category?.trim() ? await findCategory(category) : null;
+    if (category?.trim() && !postCategory) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown category "${category.trim()}"`
+      });
+    }
+    
+    // An empty tags value clears them; leaving the field out keeps the current tags
+    const postTags = tags !== undefined ? normalizeTags(tags) : null;
+    if (postTags && postTags.length > MAX_TAGS) {
+      return res.status(400).json({
+        success: false,
+        message: `A post can have at most ${MAX_TAGS} tags`
+      });
+    }
+    
+    // Same rule for job details: an empty value removes them
+    const jobDetails = job !== undefined ? parseJob(job) : null;
+    if (jobDetails?.error) {
+      return res.status(400).json({
+        success: false,
+        message: jobDetails.error
+      });
+    }
+    
+    // Re-render when the content or its format changes
+    const format = contentFormat || post.contentFormat || 'html';
+    let sanitized = null;
+    if (content?.trim() || format !== (post.contentFormat || 'html')) {
+      const source = content?.trim() ||
+        (post.contentFormat === 'markdown' ? post.contentSource : post.content);
+      sanitized = renderPostContent(format, source);
+      post.contentFormat = format;
+      post.contentSource = format === 'markdown' ? source : undefined;
+      if (!sanitized.html) {
+        return res.status(400).json({
+          success: false,
+          message: 'Content is empty after removing disallowed HTML',
+          sanitization: { removed: sanitized.removed }
+        });
+      }
+    }
+    
+    // Update fields if provided
+    if (title?.trim()) post.title = title.trim();
+    if (sanitized) post.content = sanitized.html;
+    if (postCategory) post.category = postCategory.name;
+    if (postTags) post.tags = postTags;
+    if (jobDetails) post.job = jobDetails.job || undefined;
+    if (typeof isActive === 'boolean' && hasPermission(req.role, 'post:publish')) post.isActive = isActive;
+    post.set(lifecycle);
+    
+    // Handle file upload (the old file is kept so earlier revisions can be restored)
+    if (req.file) {
+      const mediaUrl = `/uploads/${req.file.filename}`;
+      const { mediaImage, error: mediaError } = await processUploadedMedia(mediaUrl, req.file.mimetype);
+      if (mediaError) {
+        return res.status(400).json({
+          success: false,
+          message: mediaError
+        });
+      }
+      post.mediaUrl = mediaUrl;
+      post.mediaType = req.file.mimetype;
+      post.mediaImage = mediaImage || undefined;
+      post.mediaSource = undefined;
+    }
+    
+    post.updatedAt = new Date();
+    const updatedPost = await saveWithRevision(post, previous, req);
+    if (!isPublished(previous)) queuePushNotification(updatedPost);
+    queueImageVariants(updatedPost);
+    
+    res.json({
+      success: true,
+      message: 'Post updated successfully',
+      data: updatedPost,
+      sanitization: {
+        modified: !!sanitized && sanitized.removed.length > 0,
+        removed: sanitized ? sanitized.removed : []
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('Error updating post:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error updating post', 
+      error: error.message 
+    });
+  }
+});
+
+// Delete post: moves it to the trash (isActive: false), or removes it for good with ?force=true
+app.delete('/api/posts/:id', requireAuth, requirePermission('post:delete:any', 'post:delete:own'), async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Post not found' 
+      });
+    }
+    
+    if (!canModifyPost(req, post, 'delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: you can only delete your own posts'
+      });
+    }
+    
+    const forceDelete = req.query.force === 'true';
+    
+    if (forceDelete && !hasPermission(req.role, 'post:delete:force')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: only admins can permanently delete posts'
+      });
+    }
+    
+    if (forceDelete) {
+      await hardDeletePost(post);
+      
+      res.json({ 
+        success: true,
+        message: 'Post permanently deleted' 
+      });
+    } else {
+      // Soft delete - move to the trash, where it can be restored until the retention job purges it
+      post.isActive = false;
+      post.updatedAt = new Date();
+      await post.save();
+      
+      res.json({ 
+        success: true,
+        message: TRASH_RETENTION_DAYS
+          ? `Post moved to trash; it will be deleted permanently after ${TRASH_RETENTION_DAYS} days`
+          : 'Post moved to trash'
+      });
+    }
+  } catch (error) {
+    console.error('Error deleting post:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error deleting post', 
+      error: error.message 
+    });
+  }
+});
+
+// Loads req.post for the revision routes, applying the same rules as editing
+const loadEditablePost = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!canModifyPost(req, post, 'edit')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden: you can only view the history of your own posts'
+      });
+    }
+
+    req.post = post;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const editableSource = (state) =>
+  (state.contentFormat === 'markdown' ? state.contentSource : state.content) || '';
+
+// List revisions of a post, newest first
+app.get('/api/posts/:id/revisions', requireAuth, requirePermission('post:edit:any', 'post:edit:own'), loadEditablePost, async (req, res) => {
+  try {
+    const revisions = await PostRevision.find({ post: req.post._id })
+      .sort({ rev: -1 })
+      .select('rev title category editedBy editedByName changedFields note createdAt')
+      .populate('editedBy', 'username');
+
+    res.json({
+      success: true,
+      data: revisions,
+      current: {
+        title: req.post.title,
+        updatedAt: req.post.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching revisions',
+      error: error.message
+    });
+  }
+});
+
+// Diff two revisions; either side may be "current" for the live post
+app.get('/api/posts/:id/revisions/diff', requireAuth, requirePermission('post:edit:any', 'post:edit:own'), loadEditablePost, async (req, res) => {
+  try {
+    const loadSide = async (value) => {
+      if (!value || value === 'current') return { label: 'current', state: req.post.toObject() };
+      const revision = await PostRevision.findOne({ post: req.post._id, rev: parseInt(value) }).lean();
+      return revision ? { label: revision.rev, state: revision } : null;
+    };
+
+    const [from, to] = await Promise.all([loadSide(req.query.from), loadSide(req.query.to || 'current')]);
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const fields = REVISION_FIELDS
+      .filter(field => !['content', 'contentSource'].includes(field))
+      .reduce((changes, field) => {
+        if (revisionValue(from.state[field]) !== revisionValue(to.state[field])) {
+          changes[field] = { from: from.state[field] ?? null, to: to.state[field] ?? null };
+        }
+        return changes;
+      }, {});
+
+    const content = Diff.diffLines(editableSource(from.state), editableSource(to.state))
+      .map(({ value, added, removed }) => ({
+        value,
+        type: added ? 'added' : removed ? 'removed' : 'unchanged'
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        from: from.label,
+        to: to.label,
+        fields,
+        content,
+        contentChanged: content.some(part => part.type !== 'unchanged')
+      }
+    });
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing revisions',
+      error: error.message
+    });
+  }
+});
+
+// Get one full revision
+app.get('/api/posts/:id/revisions/:rev(\\d+)', requireAuth, requirePermission('post:edit:any', 'post:edit:own'), loadEditablePost, async (req, res) => {
+  try {
+    const revision = await PostRevision.findOne({ post: req.post._id, rev: parseInt(req.params.rev) })
+      .populate('editedBy', 'username')
+      .select('-__v');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching revision',
+      error: error.message
+    });
+  }
+});
+
+// Restore a revision (the current state is itself saved as a new revision first)
+app.post('/api/posts/:id/revisions/:rev(\\d+)/restore', requireAuth, requirePermission('post:edit:any', 'post:edit:own'), loadEditablePost, async (req, res) => {
+  try {
+    const post = req.post;
+    const revision = await PostRevision.findOne({ post: post._id, rev: parseInt(req.params.rev) });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const previous = post.toObject();
+    const format = revision.contentFormat || 'html';
+    const source = editableSource(revision);
+
+    post.title = revision.title;
+    post.category = revision.category;
+    post.tags = revision.tags || [];
+    post.job = revision.job || undefined;
+    post.contentFormat = format;
+    post.contentSource = format === 'markdown' ? source : undefined;
+    // Re-render in case the sanitize policy has changed since the revision was taken
+    post.content = renderPostContent(format, source).html;
+    post.mediaUrl = revision.mediaUrl;
+    post.mediaType = revision.mediaType;
+    post.mediaImage = revision.mediaImage || undefined;
+    if (post.mediaUrl !== previous.mediaUrl) post.mediaSource = undefined;
+    if (hasPermission(req.role, 'post:publish')) post.isActive = revision.isActive;
+    post.updatedAt = new Date();
+
+    const restoredPost = await saveWithRevision(post, previous, req, `Restored revision ${revision.rev}`);
+    queueImageVariants(restoredPost);
+
+    res.json({
+      success: true,
+      message: `Revision ${revision.rev} restored`,
+      data: restoredPost
+    });
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring revision',
+      error: error.message
+    });
+  }
+});
+
+// An anonymous liker is only an IP and user agent, so rotating the user agent would mint new likers;
+// capping new anonymous likes per IP bounds how far one client can inflate a count
+const allowAnonymousLike = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 30 });
+
+// Like or unlike as the current reader. Both are idempotent, so repeating a request never moves the count
+const setLike = (liked) => async (req, res) => {
+  try {
+    const post = mongoose.isValidObjectId(req.params.id) && await Post.findById(req.params.id).select('isActive status likes');
+    if (!isPublished(post)) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Post not found' 
+      });
+    }
+
+    if (liked && !req.user && !allowAnonymousLike(req.ip)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many likes from this network. Sign in or try again later.'
+      });
+    }
+    
+    const liker = likerId(req);
+    let changed = false;
+    if (liked) {
+      try {
+        await Like.create({ post: post._id, liker, user: req.user ? req.user._id : undefined });
+        changed = true;
+      } catch (error) {
+        if (error.code !== 11000) throw error; // Already liked
+      }
+    } else {
+      changed = Boolean(await Like.findOneAndDelete({ post: post._id, liker }));
+    }
+    
+    // The counter is recounted from the like documents rather than incremented, so a request that fails
+    // between the two writes cannot leave it drifted; the next change corrects any interleaved write.
+    // Like views, likes leave updatedAt alone
+    const updated = changed && await Post.findOneAndUpdate(
+      { _id: post._id },
+      { $set: { likes: await Like.countDocuments({ post: post._id }) } },
+      { new: true, timestamps: false }
+    ).select('likes');
+    
+    res.json({
+      success: true,
+      message: liked ? 'Post liked successfully' : 'Post unliked successfully',
+      data: { _id: post._id, likes: (updated || post).likes, liked }
+    });
+  } catch (error) {
+    console.error(`Error ${liked ? 'liking' : 'unliking'} post:`, error);
+    res.status(500).json({ 
+      success: false,
+      message: liked ? 'Error liking post' : 'Error unliking post', 
+      error: error.message 
+    });
+  }
+};
+
+app.post('/api/posts/:id/like', optionalAuth, setLike(true));
+app.post('/api/posts/:id/unlike', optionalAuth, setLike(false));
+
+// Build a nested reply tree from a flat, date-sorted list of comments
+const buildCommentTree = (comments) => {
+  const byId = new Map();
+  const roots = [];
+
+  comments.forEach(comment => {
+    byId.set(comment._id.toString(), { ...comment, replies: [] });
+  });
+
+  byId.forEach(comment => {
+    const parent = comment.parent && byId.get(comment.parent.toString());
+    if (parent) {
+      parent.replies.push(comment);
+    } else if (!comment.parent) {
+      roots.push(comment);
+    }
+    // Replies whose parent is not approved are dropped with it
+  });
+
+  return roots;
+};
+
+// Get the approved comment thread for a post
+app.get('/api/posts/:id/comments', async (req, res) => {
+  try {
+    const post = mongoose.isValidObjectId(req.params.id) && await Post.findById(req.params.id).select('isActive status');
+    if (!isPublished(post)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const comments = await Comment.find({ post: post._id, status: 'approved' })
+      .sort({ createdAt: 1 })
+      .select('-__v -moderatedBy -moderatedAt')
+      .lean();
+
+    res.json({
+      success: true,
+      data: buildCommentTree(comments),
+      total: comments.length
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments',
+      error: error.message
+    });
+  }
+});
+
+// Add a comment or reply (held for moderation unless posted by a moderator)
+app.post('/api/posts/:id/comments', optionalAuth, async (req, res, next) => {
+  try {
+    const post = mongoose.isValidObjectId(req.params.id) && await Post.findById(req.params.id).select('isActive status');
+    if (!isPublished(post)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const { content, authorName, parentId } = req.body;
+    const name = req.user ? req.user.username : authorName;
+
+    if (typeof content !== 'string' || typeof name !== 'string' || !content.trim() || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and comment are required'
+      });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = mongoose.isValidObjectId(parentId) && await Comment.findOne({ _id: parentId, post: post._id, status: 'approved' });
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'The comment you are replying to does not exist'
+        });
+      }
+      if (parent.depth + 1 > MAX_COMMENT_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          message: 'This thread is too deeply nested to reply to'
+        });
+      }
+    }
+
+    const isModerator = hasPermission(req.role, 'comment:moderate');
+    const comment = await new Comment({
+      post: post._id,
+      parent: parent ? parent._id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      author: req.user ? req.user._id : undefined,
+      authorName: name.trim(),
+      content: content.trim(),
+      status: isModerator ? 'approved' : 'pending',
+      moderatedBy: isModerator ? req.user._id : undefined,
+      moderatedAt: isModerator ? new Date() : undefined,
+      ip: req.ip
+    }).save();
+
+    res.status(201).json({
+      success: true,
+      message: comment.status === 'approved'
+        ? 'Comment posted'
+        : 'Comment submitted and awaiting moderation',
+      data: {
+        _id: comment._id,
+        parent: comment.parent,
+        depth: comment.depth,
+        authorName: comment.authorName,
+        content: comment.content,
+        status: comment.status,
+        createdAt: comment.createdAt
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') return next(error);
+    console.error('Error creating comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating comment',
+      error: error.message
+    });
+  }
+});
+
+// Moderation queue (defaults to pending comments, newest first)
+app.get('/api/comments', requireAuth, requirePermission('comment:moderate'), async (req, res) => {
+  try {
+    const status = COMMENT_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const query = { status };
+
+    if (req.query.post) {
+      if (!mongoose.isValidObjectId(req.query.post)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid post id'
+        });
+      }
+      query.post = req.query.post;
+    }
+
+    const [comments, total] = await Promise.all([
+      Comment.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('post', 'title')
+        .select('-__v +ip'),
+      Comment.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: comments,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalComments: total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments',
+      error: error.message
+    });
+  }
+});
+
+// Approve, reject or mark a comment as spam
+const moderationActions = { approve: 'approved', reject: 'rejected', spam: 'spam' };
+
+app.post('/api/comments/:id/:action(approve|reject|spam)', requireAuth, requirePermission('comment:moderate'), async (req, res) => {
+  try {
+    const comment = mongoose.isValidObjectId(req.params.id) && await Comment.findById(req.params.id);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    comment.status = moderationActions[req.params.action];
+    comment.moderatedBy = req.user ? req.user._id : undefined;
+    comment.moderatedAt = new Date();
+    await comment.save();
+
+    res.json({
+      success: true,
+      message: `Comment marked as ${comment.status}`,
+      data: comment
+    });
+  } catch (error) {
+    console.error('Error moderating comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating comment',
+      error: error.message
+    });
+  }
+});
+
+// Get categories in display order, with the number of published posts in each
+app.get('/api/categories', async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ order: 1, label: 1 }).select('-__v').lean(),
+      Post.aggregate([
+        { $match: PUBLISHED_FILTER },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countByName = new Map(counts.map(c => [c._id, c.count]));
+    
+    res.json({
+      success: true,
+      data: categories.map(category => ({
+        ...category,
+        postCount: countByName.get(category.name) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching categories',
+      error: error.message
+    });
+  }
+});
+
+// Create a category; the name defaults to the lowercased label
+app.post('/api/categories', requireAuth, requirePermission('category:manage'), async (req, res) => {
+  try {
+    const { name, label, icon, order } = req.body;
+    
+    if (!label?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category label is required'
+      });
+    }
+    
+    const categoryNameValue = categoryName(name || label);
+    if (await Category.exists({ name: categoryNameValue })) {
+      return res.status(409).json({
+        success: false,
+        message: `Category "${categoryNameValue}" already exists`
+      });
+    }
+    
+    const category = await Category.create({
+      name: categoryNameValue,
+      label: label.trim(),
+      icon: icon?.trim() || undefined,
+      order: Number.isFinite(Number(order)) ? Number(order) : undefined
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Category created',
+      data: category
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('Error creating category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating category',
+      error: error.message
+    });
+  }
+});
+
+// Update a category's label, icon or position. Names are fixed because posts and URLs refer to them
+app.put('/api/categories/:slug', requireAuth, requirePermission('category:manage'), async (req, res) => {
+  try {
+    const category = await findCategory(req.params.slug);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    
+    const { name, label, icon, order } = req.body;
+    if (name !== undefined && categoryName(name) !== category.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category names cannot be changed; create a new category and delete this one with ?reassignTo='
+      });
+    }
+    
+    if (label?.trim()) category.label = label.trim();
+    if (icon?.trim()) category.icon = icon.trim();
+    if (order !== undefined && Number.isFinite(Number(order))) category.order = Number(order);
+    await category.save();
+    
+    res.json({
+      success: true,
+      message: 'Category updated',
+      data: category
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('Error updating category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating category',
+      error: error.message
+    });
+  }
+});
+
+// Delete a category. Categories still holding posts need ?reassignTo=<slug> to move them first
+app.delete('/api/categories/:slug', requireAuth, requirePermission('category:manage'), async (req, res) => {
+  try {
+    const category = await findCategory(req.params.slug);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    
+    const postCount = await Post.countDocuments({ category: category.name });
+    let reassigned = 0;
+    
+    if (postCount > 0) {
+      const target = req.query.reassignTo ? await findCategory(req.query.reassignTo) : null;
+      if (!target || target.name === category.name) {
+        return res.status(409).json({
+          success: false,
+          message: req.query.reassignTo
+            ? 'Reassignment target must be a different existing category'
+            : `Category still has ${postCount} posts; pass ?reassignTo=<slug> to move them`,
+          postCount
+        });
+      }
+      
+      const result = await Post.updateMany(
+        { category: category.name },
+        { $set: { category: target.name, updatedAt: new Date() } }
+      );
+      reassigned = result.modifiedCount;
+    }
+    
+    await category.deleteOne();
+    
+    res.json({
+      success: true,
+      message: reassigned > 0
+        ? `Category deleted; ${reassigned} posts moved`
+        : 'Category deleted',
+      data: { slug: category.slug, reassigned }
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting category',
+      error: error.message
+    });
+  }
+});
+
+// Get tags used on published posts, most used first. ?q= narrows to a prefix for autocomplete
+app.get('/api/tags', async (req, res) => {
+  try {
+    const prefix = normalizeTag(req.query.q);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    
+    const tags = await Post.aggregate([
+      { $match: { ...PUBLISHED_FILTER, ...(prefix && { tags: { $gte: prefix, $lt: `${prefix}\uffff` } }) } },
+      { $unwind: '$tags' },
+      ...(prefix ? [{ $match: { tags: { $gte: prefix, $lt: `${prefix}\uffff` } } }] : []),
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+    
+    res.json({
+      success: true,
+      data: tags.map(({ _id, count }) => ({ tag: _id, count }))
+    });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tags',
+      error: error.message
+    });
+  }
+});
+
+// Get statistics: public totals for the stats panel
+app.get('/api/stats', async (req, res) => {
+  try {
+    const totalPosts = await Post.countDocuments(PUBLISHED_FILTER);
+    const totalLikes = await Post.aggregate([
+      { $match: PUBLISHED_FILTER },
+      { $group: { _id: null, total: { $sum: '$likes' } } }
+    ]);
+    const totalViews = await Post.aggregate([
+      { $match: PUBLISHED_FILTER },
+      { $group: { _id: null, total: { $sum: '$views' } } }
+    ]);
+    
+    const categoryStats = await Post.aggregate([
+      { $match: PUBLISHED_FILTER },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+    
+    const totalComments = await Comment.countDocuments({ status: 'approved' });
+    
+    res.json({
+      success: true,
+      data: {
+        totalPosts,
+        totalLikes: totalLikes[0]?.total || 0,
+        totalViews: totalViews[0]?.total || 0,
+        totalComments,
+        categories: categoryStats
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching statistics',
+      error: error.message
+    });
+  }
+});
+
+// Daily series, referrers and top posts for ?from=&to= (default: the last 30 days); editors and admins only
+app.get('/api/stats/analytics', requireAuth, requirePermission('post:edit:any'), async (req, res) => {
+  try {
+    const range = parseDayRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+    
+    const commentStats = await Comment.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const commentCounts = COMMENT_STATUSES.reduce((counts, status) => {
+      counts[status] = commentStats.find(c => c._id === status)?.count || 0;
+      return counts;
+    }, {});
+    
+    const viewMatch = { day: { $gte: range.from, $lte: range.to } };
+    const [views, likes, published, comments, categoryViews, referrers, topPosts] = await Promise.all([
+      dailyViews(viewMatch),
+      dailyCount(Like, { createdAt: { $gte: range.from, $lt: range.until } }, 'createdAt'),
+      dailyCount(Post, { ...PUBLISHED_FILTER, publishedAt: { $gte: range.from, $lt: range.until } }, 'publishedAt'),
+      dailyCount(Comment, { status: 'approved', createdAt: { $gte: range.from, $lt: range.until } }, 'createdAt'),
+      PostViewDaily.aggregate([
+        { $match: viewMatch },
+        { $group: { _id: '$category', views: { $sum: '$views' } } },
+        { $sort: { views: -1 } },
+        { $project: { _id: 0, category: '$_id', views: 1 } }
+      ]),
+      topReferrers(viewMatch),
+      PostViewDaily.aggregate([
+        { $match: viewMatch },
+        { $group: { _id: '$post', views: { $sum: '$views' } } },
+        { $sort: { views: -1 } },
+        { $limit: 20 },
+        { $lookup: { from: Post.collection.name, localField: '_id', foreignField: '_id', as: 'post' } },
+        { $unwind: '$post' },
+        { $match: { 'post.isActive': true, 'post.status': { $in: ['published', null] } } },
+        { $limit: 10 },
+        { $project: { _id: '$post._id', title: '$post.title', slug: '$post.slug', category: '$post.category', views: 1 } }
+      ])
+    ]);
+    
+    res.json({
+      success: true,
+      data: {
+        ...(hasPermission(req.role, 'comment:moderate') && { comments: commentCounts }),
+        range: { from: dayKey(range.from), to: dayKey(range.to) },
+        series: fillSeries(range, {
+          views: countsByDay(views),
+          likes: countsByDay(likes),
+          posts: countsByDay(published),
+          comments: countsByDay(comments)
+        }),
+        categoryViews,
+        referrers,
+        topPosts
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching analytics',
+      error: error.message
+    });
+  }
+});
+
+// Health check endpoint
+app.get('/api/health', async (req, res) => {
+  try {
+    // Check database connection
+    const dbStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
+    
+    // Check uploads directory
+    const uploadsExists = fs.existsSync(uploadsDir);
+    
+    // System info
+    const systemInfo = {
+      nodeVersion: process.version,
+      platform: process.platform,
+      uptime: Math.floor(process.uptime()),
+      memory: {
+        used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+        total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024)
+      }
+    };
+    
+    res.json({
+      success: true,
+      message: 'Server is healthy',
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+      database: dbStatus,
+      uploads: uploadsExists ? 'available' : 'missing',
+      frontend: frontendExists ? 'served' : 'not-found',
+      system: systemInfo
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Health check failed',
+      error: error.message
+    });
+  }
+});
+
+// --- Syndication Feeds ---
+const SITE_NAME = process.env.SITE_NAME || "Jaswanth's Blog";
+const SITE_DESCRIPTION = process.env.SITE_DESCRIPTION ||
+  'Your automated source for the latest job notifications, results, and admit cards.';
+const FEED_CACHE_SECONDS = parseInt(process.env.FEED_CACHE_SECONDS) || 300;
+// ISO 3166 country code for job locations in structured data
+const JOB_COUNTRY = process.env.JOB_COUNTRY || 'IN';
+
+// Absolute origin for links in feeds; SITE_URL wins when the app sits behind a proxy
+const siteUrl = (req) => (process.env.SITE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+const postPermalink = (base, post) => (post.slug ? `${base}/posts/${post.slug}` : `${base}/#post-${post._id}`);
+
+const stripHtml = (html) => (html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const mediaEnclosure = (base, post) => {
+  if (!post.mediaUrl) return null;
+
+  let length = 0;
+  if (post.mediaUrl.startsWith('/uploads/')) {
+    try {
+      length = fs.statSync(path.join(__dirname, post.mediaUrl)).size;
+    } catch (fileError) {
+      // Missing files still get an enclosure; readers treat length 0 as unknown
+    }
+  }
+
+  return {
+    url: /^https?:\/\//.test(post.mediaUrl) ? post.mediaUrl : `${base}${post.mediaUrl}`,
+    type: post.mediaType || 'application/octet-stream',
+    length
+  };
+};
+
+const sendFeed = async (req, res, fileName, category) => {
+  const format = FEED_FORMATS[fileName];
+  const { query, sort, limit } = buildPostListQuery(req, {
+    category: category?.name,
+    limit: req.query.limit || 20
+  });
+
+  const posts = await Post.find(query)
+    .sort(sort)
+    .limit(limit)
+    .populate('author', 'username')
+    .lean();
+
+  const base = siteUrl(req);
+  const label = category?.label || null;
+  const updated = posts.reduce(
+    (latest, post) => (post.updatedAt > latest ? post.updatedAt : latest),
+    new Date(0)
+  );
+
+  const body = format.build({
+    title: label ? `${SITE_NAME} - ${label}` : SITE_NAME,
+    description: label ? `Latest ${label.toLowerCase()} posts from ${SITE_NAME}` : SITE_DESCRIPTION,
+    siteUrl: base,
+    feedUrl: `${base}${req.path}`,
+    updated: posts.length ? updated : new Date(),
+    items: posts.map(post => {
+      const text = stripHtml(post.content);
+      return {
+        // Stable across hosts and SITE_URL changes, so readers never see an item twice
+        id: `urn:post:${post._id}`,
+        url: postPermalink(base, post),
+        title: post.title,
+        html: post.content,
+        summary: text.length > 200 ? text.substring(0, 200) + '...' : text,
+        category: post.category,
+        author: post.author?.username,
+        published: post.publishedAt || post.createdAt,
+        updated: post.updatedAt || post.createdAt,
+        enclosure: mediaEnclosure(base, post)
+      };
+    })
+  });
+
+  // Express answers conditional requests with 304 using the ETag and Last-Modified
+  res.set({
+    'Content-Type': format.contentType,
+    'Cache-Control': `public, max-age=${FEED_CACHE_SECONDS}`,
+    ...(posts.length && { 'Last-Modified': updated.toUTCString() })
+  });
+  res.send(body);
+};
+
+// Site-wide feeds: /feed.xml (RSS 2.0), /atom.xml (Atom), /feed.json (JSON Feed)
+app.get(Object.keys(FEED_FORMATS).map(file => `/${file}`), async (req, res) => {
+  try {
+    await sendFeed(req, res, req.path.slice(1));
+  } catch (error) {
+    console.error('Error building feed:', error);
+    res.status(500).type('text/plain').send('Error building feed');
+  }
+});
+
+// Per-category feeds, e.g. /category/result/feed.xml or /category/job-notification/atom.xml
+app.get('/category/:category/:file', async (req, res, next) => {
+  if (!FEED_FORMATS[req.params.file]) return next();
+
+  try {
+    const category = await findCategory(req.params.category);
+    if (!category) return next();
+    await sendFeed(req, res, req.params.file, category);
+  } catch (error) {
+    console.error('Error building category feed:', error);
+    res.status(500).type('text/plain').send('Error building feed');
+  }
+});
+
+// --- Calendar Export ---
+// Last application dates and exam dates as all-day events, per post or as a subscribable feed
+const CALENDAR_EVENT_TYPES = [
+  { field: 'applicationEnd', key: 'deadline', prefix: 'Last date to apply', alarm: '-P1D' },
+  { field: 'examDate', key: 'exam', prefix: 'Exam', alarm: '-P1D' }
+];
+
+const postCalendarEvents = (req, post, from) => {
+  const base = siteUrl(req);
+  const url = postPermalink(base, post);
+  const job = post.job || {};
+
+  return CALENDAR_EVENT_TYPES
+    .filter(({ field }) => job[field] && (!from || job[field] >= from))
+    .map(({ field, key, prefix, alarm }) => ({
+      uid: `${post._id}-${key}@${req.hostname}`,
+      summary: `${prefix}: ${post.title}`,
+      description: [job.organization, job.officialLink && `Official link: ${job.officialLink}`, url]
+        .filter(Boolean)
+        .join('\n'),
+      url,
+      date: job[field],
+      allDay: true,
+      alarm
+    }));
+};
+
+const sendCalendar = (res, calendar, fileName) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    // The frontend's <a download> is ignored cross-origin, so the header has to ask for a download
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': `public, max-age=${FEED_CACHE_SECONDS}`
+  });
+  res.send(buildCalendar(calendar));
+};
+
+// Single post download, e.g. /api/posts/:id/calendar.ics
+app.get('/api/posts/:id/calendar.ics', async (req, res) => {
+  try {
+    const post = mongoose.isValidObjectId(req.params.id) &&
+      await Post.findOne({ _id: req.params.id, ...PUBLISHED_FILTER }).lean();
+    const events = post ? postCalendarEvents(req, post) : [];
+    if (events.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: post ? 'This post has no deadline or exam date' : 'Post not found'
+      });
+    }
+
+    sendCalendar(res, {
+      name: post.title,
+      url: postPermalink(siteUrl(req), post),
+      events
+    }, `${post.slug || post._id}.ics`);
+  } catch (error) {
+    console.error('Error building post calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building calendar',
+      error: error.message
+    });
+  }
+});
+
+// Subscribable feed of upcoming dates: /calendar.ics, or /category/:category/calendar.ics
+app.get(['/calendar.ics', '/category/:category/calendar.ics'], async (req, res, next) => {
+  try {
+    const category = req.params.category ? await findCategory(req.params.category) : null;
+    if (req.params.category && !category) return next();
+
+    // Start of today, so today's deadlines stay on the calendar until the day is over
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const posts = await Post.find({
+      ...PUBLISHED_FILTER,
+      ...(category && { category: category.name }),
+      $or: CALENDAR_EVENT_TYPES.map(({ field }) => ({ [`job.${field}`]: { $gte: today } }))
+    })
+      .sort({ 'job.applicationEnd': 1 })
+      .limit(500)
+      .lean();
+
+    const label = category ? `${SITE_NAME} - ${category.label}` : SITE_NAME;
+    sendCalendar(res, {
+      name: `${label} deadlines`,
+      description: `Application deadlines and exam dates from ${label}`,
+      url: siteUrl(req),
+      events: posts.flatMap(post => postCalendarEvents(req, post, today))
+    }, 'calendar.ics');
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).type('text/plain').send('Error building calendar');
+  }
+});
+
+// --- Newsletter ---
+// Double opt-in: subscribing mails a confirm link, and only confirmed subscribers get digests
+const mailer = createMailer();
+const DIGEST_HOUR = Math.min(23, Math.max(0, parseInt(process.env.DIGEST_HOUR) || 8)); // Server-local hour
+const DIGEST_MAX_POSTS = 20;
+const DIGEST_BATCH_SIZE = 200;
+// Slightly under a full period so each day's send does not drift later than DIGEST_HOUR
+const DIGEST_PERIOD_MS = {
+  daily: 23 * 60 * 60 * 1000,
+  weekly: (7 * 24 - 1) * 60 * 60 * 1000
+};
+
+// Scheduled digests have no request to take the host from
+const digestBaseUrl = () => (process.env.SITE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+// Accepts category names or slugs as an array or comma-separated string; returns { categories } or { error }
+const parseCategoryPreferences = async (input) => {
+  const values = Array.isArray(input) ? input : String(input ?? '').split(',');
+  const names = [...new Set(values.map(categoryName).filter(Boolean))];
+  if (names.length === 0) return { categories: [] };
+
+  const found = await Category.find({ name: { $in: names } }).select('name').lean();
+  const unknown = names.filter(name => !found.some(category => category.name === name));
+  return unknown.length > 0
+    ? { error: `Unknown categories: ${unknown.join(', ')}` }
+    : { categories: names };
+};
+
+const findDigestPosts = (since, categories) => Post.find({
+  ...PUBLISHED_FILTER,
+  publishedAt: { $gt: since },
+  ...(categories.length > 0 && { category: { $in: categories } })
+})
+  .sort({ publishedAt: -1 })
+  .limit(DIGEST_MAX_POSTS)
+  .lean();
+
+const digestItems = (base, posts) => posts.map(post => {
+  const text = stripHtml(post.content);
+  return {
+    title: post.title,
+    url: postPermalink(base, post),
+    category: post.category,
+    summary: text.length > 200 ? text.substring(0, 200) + '...' : text,
+    deadline: post.job?.applicationEnd
+      ? post.job.applicationEnd.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+      : null
+  };
+});
+
+const unsubscribeUrl = (base, subscriber) => `${base}/api/newsletter/unsubscribe?token=${subscriber.unsubscribeToken}`;
+
+// Claims the subscriber's next digest and mails it; returns true if an email went out
+const sendDigest = async (subscriber, base) => {
+  const previous = subscriber.lastDigestAt;
+  const now = new Date();
+
+  // Conditional update so only one instance sends a given digest
+  const claimed = await Subscriber.findOneAndUpdate(
+    { _id: subscriber._id, status: 'confirmed', lastDigestAt: previous },
+    { $set: { lastDigestAt: now } }
+  );
+  if (!claimed) return false;
+
+  const posts = await findDigestPosts(previous || subscriber.confirmedAt || subscriber.createdAt, subscriber.categories);
+  if (posts.length === 0) return false;
+
+  const link = unsubscribeUrl(base, subscriber);
+  const email = buildDigestEmail({
+    siteName: SITE_NAME,
+    frequency: subscriber.frequency,
+    posts: digestItems(base, posts),
+    unsubscribeUrl: link
+  });
+
+  try {
+    await mailer.sendMail({
+      to: subscriber.email,
+      ...email,
+      headers: {
+        'List-Unsubscribe': `<${link}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+  } catch (error) {
+    // Hand the digest back so the next run retries it
+    await Subscriber.updateOne({ _id: subscriber._id, lastDigestAt: now }, { $set: { lastDigestAt: previous } });
+    throw error;
+  }
+  return true;
+};
+
+const sendDueDigests = async ({ ignoreHour = false } = {}) => {
+  const result = { sent: 0, skipped: 0 };
+  if (mongoose.connection.readyState !== 1) return result;
+  if (!ignoreHour && new Date().getHours() < DIGEST_HOUR) return result;
+
+  const base = digestBaseUrl();
+  for (const frequency of DIGEST_FREQUENCIES) {
+    const due = await Subscriber.find({
+      status: 'confirmed',
+      frequency,
+      lastDigestAt: { $lte: new Date(Date.now() - DIGEST_PERIOD_MS[frequency]) }
+    }).limit(DIGEST_BATCH_SIZE);
+
+    for (const subscriber of due) {
+      // A send failure usually means the SMTP server is down, so stop and retry on the next run
+      const sent = await sendDigest(subscriber, base);
+      result[sent ? 'sent' : 'skipped'] += 1;
+    }
+  }
+
+  if (result.sent > 0) console.log(`📬 Sent ${result.sent} newsletter digests`);
+  return result;
+};
+
+const allowSubscribeAttempt = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 10 });
+
+// Subscribe, or re-send the confirmation for a pending address (at most hourly, so nobody can mail-bomb an inbox)
+app.post('/api/newsletter/subscribe', async (req, res) => {
+  try {
+    if (!allowSubscribeAttempt(req.ip)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many subscription attempts. Please try again later.'
+      });
+    }
+
+    const { categories, frequency = 'weekly' } = req.body;
+    const email = String(req.body.email || '').trim().toLowerCase();
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid email address'
+      });
+    }
+
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Frequency must be one of: ' + DIGEST_FREQUENCIES.join(', ')
+      });
+    }
+
+    const preferences = await parseCategoryPreferences(categories);
+    if (preferences.error) {
+      return res.status(400).json({
+        success: false,
+        message: preferences.error
+      });
+    }
+
+    // Same answer whether or not the address is already subscribed, so the list cannot be probed
+    const accepted = {
+      success: true,
+      message: 'Check your inbox to confirm your subscription'
+    };
+
+    const subscriber = await Subscriber.findOne({ email }) || new Subscriber({ email });
+    if (subscriber.status === 'confirmed') {
+      return res.status(202).json(accepted);
+    }
+    if (subscriber.status === 'pending' && subscriber.confirmationSentAt > new Date(Date.now() - CONFIRM_RESEND_AFTER_MS)) {
+      return res.status(202).json(accepted);
+    }
+
+    subscriber.set({
+      categories: preferences.categories,
+      frequency,
+      status: 'pending',
+      confirmToken: newToken(),
+      confirmTokenExpires: new Date(Date.now() + CONFIRM_TOKEN_TTL_MS)
+    });
+    await subscriber.save();
+
+    const base = siteUrl(req);
+    await mailer.sendMail({
+      to: subscriber.email,
+      ...buildConfirmationEmail({
+        siteName: SITE_NAME,
+        confirmUrl: `${base}/api/newsletter/confirm?token=${subscriber.confirmToken}`
+      })
+    });
+    // Only a delivered email holds back resends; after an SMTP failure the reader can retry at once
+    await Subscriber.updateOne({ _id: subscriber._id }, { $set: { confirmationSentAt: new Date() } });
+
+    res.status(202).json(accepted);
+  } catch (error) {
+    console.error('Error subscribing to newsletter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error subscribing to newsletter',
+      error: error.message
+    });
+  }
+});
+
+// Links in emails land back on the site with ?newsletter=<outcome> for the frontend to announce
+app.get('/api/newsletter/confirm', async (req, res) => {
+  const base = siteUrl(req);
+  try {
+    const token = String(req.query.token || '');
+    const subscriber = token && await Subscriber.findOne({
+      confirmToken: token,
+      confirmTokenExpires: { $gt: new Date() }
+    });
+    if (!subscriber) return res.redirect(`${base}/?newsletter=invalid`);
+
+    const now = new Date();
+    subscriber.set({
+      status: 'confirmed',
+      confirmedAt: now,
+      lastDigestAt: now,
+      confirmToken: undefined,
+      confirmTokenExpires: undefined
+    });
+    await subscriber.save();
+
+    res.redirect(`${base}/?newsletter=confirmed`);
+  } catch (error) {
+    console.error('Error confirming subscription:', error);
+    res.redirect(`${base}/?newsletter=invalid`);
+  }
+});
+
+const unsubscribe = (token) => Subscriber.findOneAndUpdate(
+  { unsubscribeToken: String(token || ''), status: { $ne: 'unsubscribed' } },
+  { $set: { status: 'unsubscribed' } }
+);
+
+// GET (the link in the email) only shows a confirmation page, since mail scanners and link prefetchers
+// follow links; the unsubscribe itself is a POST, from that page or a mail client's one-click (RFC 8058)
+app.route('/api/newsletter/unsubscribe')
+  .get((req, res) => {
+    const token = String(req.query.token || '');
+    res.set('Cache-Control', 'no-store').type('html').send(buildUnsubscribePage({
+      siteName: SITE_NAME,
+      actionUrl: `${siteUrl(req)}/api/newsletter/unsubscribe?token=${encodeURIComponent(token)}`
+    }));
+  })
+  .post(async (req, res) => {
+    const fromPage = req.body.confirm === 'yes';
+    try {
+      await unsubscribe(req.query.token || req.body.token);
+      if (fromPage) return res.redirect(303, `${siteUrl(req)}/?newsletter=unsubscribed`);
+      res.json({
+        success: true,
+        message: 'You have been unsubscribed'
+      });
+    } catch (error) {
+      console.error('Error unsubscribing:', error);
+      if (fromPage) return res.redirect(303, `${siteUrl(req)}/?newsletter=invalid`);
+      res.status(500).json({
+        success: false,
+        message: 'Error unsubscribing',
+        error: error.message
+      });
+    }
+  });
+
+// Read or change digest preferences with the token from any digest email
+app.route('/api/newsletter/preferences')
+  .get(async (req, res) => {
+    try {
+      const subscriber = await Subscriber.findOne({ unsubscribeToken: String(req.query.token || '') })
+        .select('email categories frequency status');
+      if (!subscriber) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subscription not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: subscriber
+      });
+    } catch (error) {
+      console.error('Error fetching newsletter preferences:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching preferences',
+        error: error.message
+      });
+    }
+  })
+  .put(async (req, res) => {
+    try {
+      const subscriber = await Subscriber.findOne({ unsubscribeToken: String(req.query.token || '') });
+      if (!subscriber) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subscription not found'
+        });
+      }
+
+      const { categories, frequency } = req.body;
+      if (frequency !== undefined && !DIGEST_FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Frequency must be one of: ' + DIGEST_FREQUENCIES.join(', ')
+        });
+      }
+
+      if (categories !== undefined) {
+        const preferences = await parseCategoryPreferences(categories);
+        if (preferences.error) {
+          return res.status(400).json({
+            success: false,
+            message: preferences.error
+          });
+        }
+        subscriber.categories = preferences.categories;
+      }
+      if (frequency) subscriber.frequency = frequency;
+      await subscriber.save();
+
+      res.json({
+        success: true,
+        message: 'Preferences updated',
+        data: { email: subscriber.email, categories: subscriber.categories, frequency: subscriber.frequency }
+      });
+    } catch (error) {
+      console.error('Error updating newsletter preferences:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating preferences',
+        error: error.message
       });
     }
-    
-    const newPost = new Post({
-      title: title.trim(),
-      content: content.trim(),
-      category: category.toLowerCase().trim(),
-      mediaUrl: req.file ? `/uploads/${req.file.filename}` : null,
-      mediaType: req.file ? req.file.mimetype : null,
+  });
+
+// Preview the next digest for a frequency and category selection without sending it. ?format=html renders it
+app.get('/api/newsletter/digest/preview', requireAuth, requirePermission('newsletter:manage'), async (req, res) => {
+  try {
+    const frequency = req.query.frequency || 'weekly';
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Frequency must be one of: ' + DIGEST_FREQUENCIES.join(', ')
+      });
+    }
+
+    const preferences = await parseCategoryPreferences(req.query.categories);
+    if (preferences.error) {
+      return res.status(400).json({
+        success: false,
+        message: preferences.error
+      });
+    }
+
+    const since = new Date(Date.now() - (frequency === 'weekly' ? 7 : 1) * 24 * 60 * 60 * 1000);
+    const base = siteUrl(req);
+    const posts = await findDigestPosts(since, preferences.categories);
+    const email = buildDigestEmail({
+      siteName: SITE_NAME,
+      frequency,
+      posts: digestItems(base, posts),
+      unsubscribeUrl: `${base}/api/newsletter/unsubscribe?token=preview`
     });
-    
-    const savedPost = await newPost.save();
-    
-    res.status(201).json({
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(email.html);
+    }
+
+    res.json({
       success: true,
-      message: 'Post created successfully',
-      data: savedPost
+      data: {
+        ...email,
+        frequency,
+        categories: preferences.categories,
+        since,
+        postCount: posts.length,
+        subscribers: await Subscriber.countDocuments({ status: 'confirmed', frequency }),
+        smtpConfigured: mailer.configured
+      }
     });
   } catch (error) {
-    console.error('Error creating post:', error);
-    res.status(500).json({ 
+    console.error('Error previewing digest:', error);
+    res.status(500).json({
       success: false,
-      message: 'Error creating post', 
-      error: error.message 
+      message: 'Error previewing digest',
+      error: error.message
     });
   }
 });
 
-// Update post
-app.put('/api/posts/:id', apiKeyAuth, upload.single('mediaFile'), async (req, res) => {
+// Send every due digest now instead of waiting for DIGEST_HOUR, e.g. to check delivery against a test SMTP server
+app.post('/api/newsletter/digest/send', requireAuth, requirePermission('newsletter:manage'), async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post) {
-      return res.status(404).json({ 
+    const result = await sendDueDigests({ ignoreHour: true });
+    res.json({
+      success: true,
+      message: `Sent ${result.sent} digests`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error sending digests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending digests',
+      error: error.message
+    });
+  }
+});
+
+// --- Web Push ---
+// VAPID keys come from the environment (generate a pair with `npm run vapid:generate`); without them push is off
+const PUSH_ENABLED = Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+const PUSH_BATCH_SIZE = 50;
+const PUSH_MAX_FAILURES = 5; // Consecutive non-fatal failures before a subscription is dropped
+
+if (PUSH_ENABLED) {
+  webPush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:admin@example.com',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+}
+
+// Send one notification; gone subscriptions (404/410) are deleted, repeat failures pruned
+const pushTo = async (subscription, payload) => {
+  try {
+    await webPush.sendNotification(
+      { endpoint: subscription.endpoint, keys: subscription.keys },
+      payload,
+      { TTL: 24 * 60 * 60 }
+    );
+    if (subscription.failureCount > 0 || !subscription.lastSuccessAt) {
+      await PushSubscription.updateOne({ _id: subscription._id }, { $set: { failureCount: 0, lastSuccessAt: new Date() } });
+    }
+    return 'sent';
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 410) {
+      await PushSubscription.deleteOne({ _id: subscription._id });
+      return 'pruned';
+    }
+    const updated = await PushSubscription.findOneAndUpdate(
+      { _id: subscription._id },
+      { $inc: { failureCount: 1 } },
+      { new: true }
+    );
+    if (updated && updated.failureCount >= PUSH_MAX_FAILURES) {
+      await PushSubscription.deleteOne({ _id: subscription._id });
+      return 'pruned';
+    }
+    console.warn(`Push to ${subscription.endpoint.slice(0, 60)}... failed:`, error.statusCode || error.message);
+    return 'failed';
+  }
+};
+
+// Fan a newly published post out to every subscription following its category. Runs once per post
+const notifyNewPost = async (post) => {
+  if (!PUSH_ENABLED || !isPublished(post)) return;
+
+  // Claim the post so re-publishing, or a second instance, does not notify twice
+  const claimed = await Post.findOneAndUpdate(
+    { _id: post._id, pushNotifiedAt: null },
+    { $set: { pushNotifiedAt: new Date() } }
+  );
+  if (!claimed) return;
+
+  const category = await Category.findOne({ name: post.category }).select('label').lean();
+  const payload = JSON.stringify({
+    title: category ? `New in ${category.label}` : SITE_NAME,
+    body: post.title,
+    url: post.slug ? `/posts/${post.slug}` : `/#post-${post._id}`,
+    tag: String(post._id)
+  });
+
+  const counts = { sent: 0, pruned: 0, failed: 0 };
+  const cursor = PushSubscription.find({
+    $or: [{ categories: { $size: 0 } }, { categories: post.category }]
+  }).lean().cursor();
+
+  let batch = [];
+  const flush = async () => {
+    const results = await Promise.all(batch.map(subscription => pushTo(subscription, payload)));
+    results.forEach(result => { counts[result] += 1; });
+    batch = [];
+  };
+
+  for await (const subscription of cursor) {
+    batch.push(subscription);
+    if (batch.length >= PUSH_BATCH_SIZE) await flush();
+  }
+  if (batch.length > 0) await flush();
+
+  console.log(`🔔 Push for "${post.title}": ${counts.sent} sent, ${counts.pruned} pruned, ${counts.failed} failed`);
+};
+
+// Fire-and-forget from request handlers; a slow push service must not hold up the response
+const queuePushNotification = (post) => {
+  notifyNewPost(post).catch(error => console.error('Error sending push notifications:', error.message));
+};
+
+app.get('/api/push/public-key', (req, res) => {
+  if (!PUSH_ENABLED) {
+    return res.status(503).json({
+      success: false,
+      message: 'Push notifications are not configured'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { publicKey: process.env.VAPID_PUBLIC_KEY }
+  });
+});
+
+// Store a browser PushSubscription with its category preferences; subscribing again updates them
+app.post('/api/push/subscribe', optionalAuth, async (req, res) => {
+  try {
+    if (!PUSH_ENABLED) {
+      return res.status(503).json({
         success: false,
-        message: 'Post not found' 
+        message: 'Push notifications are not configured'
       });
     }
-    
-    const { title, content, category, isActive } = req.body;
-    
-    // Update fields if provided
-    if (title?.trim()) post.title = title.trim();
-    if (content?.trim()) post.content = content.trim();
-    if (category?.trim()) post.category = category.toLowerCase().trim();
-    if (typeof isActive === 'boolean') post.isActive = isActive;
-    
-    // Handle file upload
-    if (req.file) {
-      // Delete old file if exists
-      if (post.mediaUrl) {
-        const oldFilePath = path.join(__dirname, post.mediaUrl);
-        try {
-          if (fs.existsSync(oldFilePath)) {
-            fs.unlinkSync(oldFilePath);
-          }
-        } catch (fileError) {
-          console.warn('Could not delete old file:', fileError.message);
+
+    const { subscription, categories } = req.body;
+    const endpoint = subscription?.endpoint;
+    const keys = subscription?.keys;
+    if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint) ||
+        typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string' || !keys.p256dh || !keys.auth) {
+      return res.status(400).json({
+        success: false,
+        message: 'A push subscription with endpoint and keys is required'
+      });
+    }
+
+    const preferences = await parseCategoryPreferences(categories);
+    if (preferences.error) {
+      return res.status(400).json({
+        success: false,
+        message: preferences.error
+      });
+    }
+
+    const saved = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        $set: {
+          keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+          categories: preferences.categories,
+          failureCount: 0,
+          ...(req.user && { user: req.user._id })
         }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: preferences.categories.length
+        ? `Notifications on for ${preferences.categories.length} categories`
+        : 'Notifications on for all new posts',
+      data: { endpoint: saved.endpoint, categories: saved.categories }
+    });
+  } catch (error) {
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving push subscription',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/push/unsubscribe', async (req, res) => {
+  try {
+    const endpoint = req.body.endpoint || req.body.subscription?.endpoint;
+    if (typeof endpoint !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Endpoint is required'
+      });
+    }
+
+    await PushSubscription.deleteOne({ endpoint });
+    res.json({
+      success: true,
+      message: 'Notifications turned off'
+    });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing push subscription',
+      error: error.message
+    });
+  }
+});
+
+// --- Feed Ingestion ---
+// Configured RSS/Atom sources are polled by the scheduler; new entries become posts via bulk ingestion
+const FEED_FETCH_TIMEOUT_MS = 20 * 1000;
+const FEED_MAX_BYTES = 5 * 1024 * 1024;
+const FEED_POLL_BATCH_SIZE = 20;
+// Lets sources point at file:// fixture feeds and feeds on localhost or the private network while developing;
+// never enable in production. Without it, feeds are only fetched from public addresses
+const FEED_ALLOW_FILE_URLS = process.env.FEED_ALLOW_FILE_URLS === 'true';
+// Feed posts are written as this role; each source's rules decide between draft and published
+const feedIngestRequest = { apiClient: true, role: 'editor' };
+
+const feedSourceKey = (source) => `feed:${source.key}`;
+
+const feedUrlError = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'Feed URL is not a valid URL';
+  }
+  if (parsed.protocol === 'file:' && FEED_ALLOW_FILE_URLS) return null;
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'Feed URL must be http(s)';
+  return null;
+};
+
+// Returns { xml, httpStatus, etag, lastModified }, or { notModified } when the validators still match
+const downloadFeed = async (url, { etag, lastModified } = {}) => {
+  if (url.startsWith('file:')) {
+    return { xml: await fs.promises.readFile(fileURLToPath(url), 'utf8') };
+  }
+
+  const response = await fetchUrl(url, {
+    publicOnly: !FEED_ALLOW_FILE_URLS,
+    maxBytes: FEED_MAX_BYTES,
+    timeoutMs: FEED_FETCH_TIMEOUT_MS,
+    headers: {
+      'User-Agent': `${SITE_NAME} feed reader`,
+      Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5',
+      ...(etag && { 'If-None-Match': etag }),
+      ...(lastModified && { 'If-Modified-Since': lastModified })
+    }
+  });
+  if (response.status === 304) return { notModified: true, httpStatus: 304 };
+  if (response.status < 200 || response.status >= 300) {
+    const error = new Error(`Feed returned HTTP ${response.status}`);
+    error.httpStatus = response.status;
+    throw error;
+  }
+
+  return {
+    xml: response.body.toString('utf8'),
+    httpStatus: response.status,
+    etag: response.headers.etag || undefined,
+    lastModified: response.headers['last-modified'] || undefined
+  };
+};
+
+// The GUID is claimed before the post is written, so two instances never import the same entry
+const ingestFeedEntry = async (source, item) => {
+  try {
+    await FeedEntry.create({ source: source._id, guid: item.externalId });
+  } catch (error) {
+    if (error.code === 11000) return { result: 'skipped' };
+    throw error;
+  }
+
+  const outcome = await ingestItem(feedIngestRequest, item, feedSourceKey(source));
+  if (outcome.result === 'failed') {
+    // Release the GUID so the entry is retried on the next fetch
+    await FeedEntry.deleteOne({ source: source._id, guid: item.externalId });
+  } else {
+    await FeedEntry.updateOne({ source: source._id, guid: item.externalId }, { $set: { post: outcome.id } });
+  }
+  return outcome;
+};
+
+// Fetch one source, import its new entries and write a log entry; never throws
+const fetchFeedSource = async (source, trigger = 'schedule') => {
+  const startedAt = new Date();
+  const log = new FeedFetchLog({ source: source._id, trigger, startedAt, status: 'ok' });
+
+  try {
+    const download = await downloadFeed(source.url, source);
+    log.httpStatus = download.httpStatus;
+
+    if (download.notModified) {
+      log.status = 'not-modified';
+    } else {
+      const { items } = await feedItems(download.xml, source.rules, source.name);
+      log.entries = items.length;
+      log.set(await ingestFeedItems(items, item => ingestFeedEntry(source, item)));
+      // Failed entries are retried on the next fetch, which a 304 for unchanged validators would prevent
+      source.set(log.failed === 0
+        ? { etag: download.etag, lastModified: download.lastModified }
+        : { etag: undefined, lastModified: undefined });
+    }
+
+    source.set({ lastSuccessAt: new Date(), lastError: undefined, consecutiveFailures: 0 });
+  } catch (error) {
+    log.status = 'error';
+    log.error = error.message;
+    log.httpStatus = error.httpStatus;
+    source.set({ lastError: error.message, consecutiveFailures: source.consecutiveFailures + 1 });
+  }
+
+  log.durationMs = Date.now() - startedAt.getTime();
+  source.lastFetchedAt = startedAt;
+
+  try {
+    await Promise.all([log.save(), source.save()]);
+  } catch (error) {
+    console.error(`Error saving fetch log for feed "${source.name}":`, error.message);
+  }
+  if (log.created > 0) console.log(`📰 Imported ${log.created} posts from feed "${source.name}"`);
+  return log;
+};
+
+const pollDueFeedSources = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const now = new Date();
+  const due = await FeedSource.find({ enabled: true, nextFetchAt: { $lte: now } })
+    .sort({ nextFetchAt: 1 })
+    .limit(FEED_POLL_BATCH_SIZE)
+    .select('_id');
+
+  for (const { _id } of due) {
+    // Conditional update so only one instance fetches a given source
+    const source = await FeedSource.findOneAndUpdate(
+      { _id, enabled: true, nextFetchAt: { $lte: now } },
+      [{ $set: { nextFetchAt: { $add: ['$$NOW', { $multiply: ['$intervalMinutes', 60 * 1000] }] } } }],
+      { new: true }
+    );
+    if (source) await fetchFeedSource(source);
+  }
+};
+
+// Validates an add/update body; returns { fields } or { error }. partial skips fields that are absent
+const parseFeedSourceInput = async (body, { partial = false } = {}) => {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) {
+    if (!String(body.name || '').trim()) return { error: 'Name is required' };
+    fields.name = String(body.name).trim();
+  }
+
+  if (!partial || body.url !== undefined) {
+    const url = String(body.url || '').trim();
+    const urlError = feedUrlError(url);
+    if (urlError) return { error: urlError };
+    fields.url = url;
+  }
+
+  if (body.intervalMinutes !== undefined) {
+    const interval = Number(body.intervalMinutes);
+    if (!Number.isInteger(interval) || interval < FEED_MIN_INTERVAL_MINUTES) {
+      return { error: `intervalMinutes must be a whole number of at least ${FEED_MIN_INTERVAL_MINUTES}` };
+    }
+    fields.intervalMinutes = interval;
+  }
+
+  if (body.enabled !== undefined) fields.enabled = body.enabled === true || body.enabled === 'true';
+
+  if (!partial || body.rules !== undefined) {
+    const parsed = parseFeedRules(body.rules);
+    if (parsed.error) return parsed;
+
+    const category = await findCategory(parsed.rules.category);
+    if (!category) return { error: `Unknown category "${parsed.rules.category}"` };
+
+    const tags = normalizeTags(parsed.rules.tags);
+    if (tags.length > MAX_TAGS) return { error: `A post can have at most ${MAX_TAGS} tags` };
+
+    fields.rules = { ...parsed.rules, category: category.name, tags };
+  }
+
+  return { fields };
+};
+
+const findFeedSource = (id) => mongoose.isValidObjectId(id) ? FeedSource.findById(id) : null;
+
+// Dry run: what a fetch would import right now, without writing anything
+const previewFeed = async (source, xmlOverride) => {
+  const download = xmlOverride ? { xml: xmlOverride } : await downloadFeed(source.url);
+  const { title, items } = await feedItems(download.xml, source.rules, source.name);
+
+  const seen = source._id
+    ? new Set((await FeedEntry.find({ source: source._id, guid: { $in: items.map(item => item.externalId) } })
+      .select('guid')
+      .lean()).map(entry => entry.guid))
+    : new Set();
+
+  return {
+    feedTitle: title,
+    httpStatus: download.httpStatus,
+    entries: items.length,
+    newEntries: items.filter(item => !seen.has(item.externalId)).length,
+    items: items.map(item => {
+      const rendered = renderPostContent('html', item.content);
+      return {
+        guid: item.externalId,
+        duplicate: seen.has(item.externalId),
+        title: item.title,
+        link: item.link,
+        date: item.date,
+        category: item.category,
+        tags: item.tags,
+        status: item.status,
+        content: rendered.html,
+        ...(!rendered.html && { error: 'Content is empty after removing disallowed HTML' })
+      };
+    })
+  };
+};
+
+app.get('/api/feed-sources', requireAuth, requirePermission('feed:manage'), async (req, res) => {
+  try {
+    const sources = await FeedSource.find().sort({ name: 1 }).lean();
+    const counts = await FeedEntry.aggregate([{ $group: { _id: '$source', count: { $sum: 1 } } }]);
+    const countBySource = new Map(counts.map(c => [String(c._id), c.count]));
+
+    res.json({
+      success: true,
+      data: sources.map(source => ({ ...source, entryCount: countBySource.get(String(source._id)) || 0 }))
+    });
+  } catch (error) {
+    console.error('Error fetching feed sources:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching feed sources',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/feed-sources', requireAuth, requirePermission('feed:manage'), async (req, res) => {
+  try {
+    const input = await parseFeedSourceInput(req.body);
+    if (input.error) {
+      return res.status(400).json({
+        success: false,
+        message: input.error
+      });
+    }
+
+    const source = await FeedSource.create({ ...input.fields, createdBy: req.user ? req.user._id : undefined });
+
+    res.status(201).json({
+      success: true,
+      message: source.enabled ? 'Feed source added; it will be fetched on the next scheduler run' : 'Feed source added (disabled)',
+      data: source
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('Error adding feed source:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding feed source',
+      error: error.message
+    });
+  }
+});
+
+// Try a URL (or pasted XML) with a set of rules before saving it as a source
+app.post('/api/feed-sources/test', requireAuth, requirePermission('feed:manage'), async (req, res) => {
+  try {
+    const { xml } = req.body;
+    const input = await parseFeedSourceInput({ name: 'Test', ...req.body, ...(xml && { url: 'https://example.com/' }) });
+    if (input.error) {
+      return res.status(400).json({
+        success: false,
+        message: input.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await previewFeed(input.fields, typeof xml === 'string' ? xml : null)
+    });
+  } catch (error) {
+    res.status(422).json({
+      success: false,
+      message: 'Feed test failed',
+      error: error.message
+    });
+  }
+});
+
+// Fetch log across sources, newest first: ?source=<id>&status=ok|not-modified|error&limit=
+app.get('/api/feed-sources/logs', requireAuth, requirePermission('feed:manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.source) {
+      if (!mongoose.isValidObjectId(req.query.source)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid source id'
+        });
       }
-      
-      post.mediaUrl = `/uploads/${req.file.filename}`;
-      post.mediaType = req.file.mimetype;
+      filter.source = req.query.source;
     }
-    
-    post.updatedAt = new Date();
-    const updatedPost = await post.save();
-    
+    if (req.query.status) filter.status = String(req.query.status);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const logs = await FeedFetchLog.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .populate('source', 'name url')
+      .lean();
+
     res.json({
       success: true,
-      message: 'Post updated successfully',
-      data: updatedPost
+      data: logs
     });
   } catch (error) {
-    console.error('Error updating post:', error);
-    res.status(500).json({ 
+    console.error('Error fetching feed logs:', error);
+    res.status(500).json({
       success: false,
-      message: 'Error updating post', 
-      error: error.message 
+      message: 'Error fetching feed logs',
+      error: error.message
     });
   }
 });
 
-// Soft delete post (set isActive to false)
-app.delete('/api/posts/:id', apiKeyAuth, async (req, res) => {
+app.put('/api/feed-sources/:id', requireAuth, requirePermission('feed:manage'), async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post) {
-      return res.status(404).json({ 
+    const source = await findFeedSource(req.params.id);
+    if (!source) {
+      return res.status(404).json({
         success: false,
-        message: 'Post not found' 
+        message: 'Feed source not found'
       });
     }
-    
-    const forceDelete = req.query.force === 'true';
-    
-    if (forceDelete) {
-      // Hard delete - remove from database and delete file
-      if (post.mediaUrl) {
-        const filePath = path.join(__dirname, post.mediaUrl);
-        try {
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-          }
-        } catch (fileError) {
-          console.warn('Could not delete file:', fileError.message);
-        }
-      }
-      
-      await Post.findByIdAndDelete(req.params.id);
-      
-      res.json({ 
-        success: true,
-        message: 'Post permanently deleted' 
-      });
-    } else {
-      // Soft delete - just mark as inactive
-      post.isActive = false;
-      post.updatedAt = new Date();
-      await post.save();
-      
-      res.json({ 
-        success: true,
-        message: 'Post deactivated successfully' 
+
+    const input = await parseFeedSourceInput(req.body, { partial: true });
+    if (input.error) {
+      return res.status(400).json({
+        success: false,
+        message: input.error
       });
     }
+
+    // A new URL starts without the old server's cache validators
+    if (input.fields.url && input.fields.url !== source.url) source.set({ etag: undefined, lastModified: undefined });
+    source.set(input.fields);
+    await source.save();
+
+    res.json({
+      success: true,
+      message: 'Feed source updated',
+      data: source
+    });
   } catch (error) {
-    console.error('Error deleting post:', error);
-    res.status(500).json({ 
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('Error updating feed source:', error);
+    res.status(500).json({
       success: false,
-      message: 'Error deleting post', 
-      error: error.message 
+      message: 'Error updating feed source',
+      error: error.message
     });
   }
 });
 
-// Like post
-app.post('/api/posts/:id/like', async (req, res) => {
+app.post('/api/feed-sources/:id/:action(enable|disable)', requireAuth, requirePermission('feed:manage'), async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post || !post.isActive) {
-      return res.status(404).json({ 
+    const enabled = req.params.action === 'enable';
+    const source = mongoose.isValidObjectId(req.params.id) && await FeedSource.findByIdAndUpdate(
+      req.params.id,
+      { $set: { enabled, ...(enabled && { nextFetchAt: new Date() }) } },
+      { new: true }
+    );
+    if (!source) {
+      return res.status(404).json({
         success: false,
-        message: 'Post not found' 
+        message: 'Feed source not found'
       });
     }
-    
-    post.likes += 1;
-    const updatedPost = await post.save();
-    
+
     res.json({
       success: true,
-      message: 'Post liked successfully',
-      data: updatedPost
+      message: `Feed source ${enabled ? 'enabled' : 'disabled'}`,
+      data: source
     });
   } catch (error) {
-    console.error('Error liking post:', error);
-    res.status(500).json({ 
+    console.error('Error changing feed source:', error);
+    res.status(500).json({
       success: false,
-      message: 'Error liking post', 
-      error: error.message 
+      message: 'Error changing feed source',
+      error: error.message
     });
   }
 });
 
-// Unlike post
-app.post('/api/posts/:id/unlike', async (req, res) => {
+// Dry run against a saved source; entries it has already imported are flagged as duplicates
+app.post('/api/feed-sources/:id/test', requireAuth, requirePermission('feed:manage'), async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post || !post.isActive) {
-      return res.status(404).json({ 
+    const source = await findFeedSource(req.params.id);
+    if (!source) {
+      return res.status(404).json({
         success: false,
-        message: 'Post not found' 
+        message: 'Feed source not found'
       });
     }
-    
-    if (post.likes > 0) {
-      post.likes -= 1;
-    }
-    
-    const updatedPost = await post.save();
-    
+
     res.json({
       success: true,
-      message: 'Post unliked successfully',
-      data: updatedPost
+      data: await previewFeed(source, typeof req.body.xml === 'string' ? req.body.xml : null)
     });
   } catch (error) {
-    console.error('Error unliking post:', error);
-    res.status(500).json({ 
+    res.status(422).json({
       success: false,
-      message: 'Error unliking post', 
-      error: error.message 
+      message: 'Feed test failed',
+      error: error.message
     });
   }
 });
 
-// Get categories
-app.get('/api/categories', (req, res) => {
-  const categories = [
-    'job notification',
-    'admit card', 
-    'result',
-    'technology', 
-    'lifestyle', 
-    'travel', 
-    'food', 
-    'health', 
-    'business', 
-    'other'
-  ];
-  
-  res.json({
-    success: true,
-    data: categories
-  });
-});
-
-// Get statistics
-app.get('/api/stats', async (req, res) => {
+// Fetch now instead of waiting for the schedule; disabled sources can be fetched this way too
+app.post('/api/feed-sources/:id/fetch', requireAuth, requirePermission('feed:manage'), async (req, res) => {
   try {
-    const totalPosts = await Post.countDocuments({ isActive: true });
-    const totalLikes = await Post.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: null, total: { $sum: '$likes' } } }
-    ]);
-    const totalViews = await Post.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: null, total: { $sum: '$views' } } }
-    ]);
-    
-    const categoryStats = await Post.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: '$category', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
-    
-    res.json({
-      success: true,
-      data: {
-        totalPosts,
-        totalLikes: totalLikes[0]?.total || 0,
-        totalViews: totalViews[0]?.total || 0,
-        categories: categoryStats
-      }
+    const source = await findFeedSource(req.params.id);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed source not found'
+      });
+    }
+
+    const log = await fetchFeedSource(source, 'manual');
+
+    res.status(log.status === 'error' ? 502 : 200).json({
+      success: log.status !== 'error',
+      message: log.status === 'error'
+        ? `Fetch failed: ${log.error}`
+        : `${log.created} created, ${log.skipped} already imported, ${log.failed} failed`,
+      data: log
     });
   } catch (error) {
-    console.error('Error fetching stats:', error);
+    console.error('Error fetching feed source:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching statistics',
+      message: 'Error fetching feed source',
       error: error.message
     });
   }
 });
 
-// Health check endpoint
-app.get('/api/health', async (req, res) => {
+// Imported posts stay; the source's GUID history and fetch log go with it
+app.delete('/api/feed-sources/:id', requireAuth, requirePermission('feed:manage'), async (req, res) => {
   try {
-    // Check database connection
-    const dbStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
-    
-    // Check uploads directory
-    const uploadsExists = fs.existsSync(uploadsDir);
-    
-    // System info
-    const systemInfo = {
-      nodeVersion: process.version,
-      platform: process.platform,
-      uptime: Math.floor(process.uptime()),
-      memory: {
-        used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
-        total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024)
-      }
-    };
-    
+    const source = await findFeedSource(req.params.id);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed source not found'
+      });
+    }
+
+    await Promise.all([
+      source.deleteOne(),
+      FeedEntry.deleteMany({ source: source._id }),
+      FeedFetchLog.deleteMany({ source: source._id })
+    ]);
+
     res.json({
       success: true,
-      message: 'Server is healthy',
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'development',
-      database: dbStatus,
-      uploads: uploadsExists ? 'available' : 'missing',
-      frontend: frontendExists ? 'served' : 'not-found',
-      system: systemInfo
+      message: 'Feed source deleted'
     });
   } catch (error) {
+    console.error('Error deleting feed source:', error);
     res.status(500).json({
       success: false,
-      message: 'Health check failed',
+      message: 'Error deleting feed source',
       error: error.message
     });
   }
 });
 
+// --- Sitemap & Robots ---
+app.get('/sitemap.xml', async (req, res) => {
+  try {
+    const base = siteUrl(req);
+    const posts = await Post.find(PUBLISHED_FILTER)
+      .sort({ createdAt: -1 })
+      .limit(50000) // Sitemap protocol limit per file
+      .select('slug updatedAt createdAt')
+      .lean();
+    const categories = await Post.aggregate([
+      { $match: PUBLISHED_FILTER },
+      { $group: { _id: '$category', lastmod: { $max: '$updatedAt' } } },
+      { $sort: { _id: 1 } }
+    ]);
+    const tags = await Post.aggregate([
+      { $match: PUBLISHED_FILTER },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', lastmod: { $max: '$updatedAt' } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const urls = [
+      { loc: `${base}/`, lastmod: posts[0]?.updatedAt, changefreq: 'hourly', priority: '1.0' },
+      ...categories.map(category => ({
+        loc: `${base}/category/${categorySlug(category._id)}`,
+        lastmod: category.lastmod,
+        changefreq: 'daily',
+        priority: '0.8'
+      })),
+      ...tags.map(tag => ({
+        loc: `${base}/tag/${tag._id}`,
+        lastmod: tag.lastmod,
+        changefreq: 'daily',
+        priority: '0.7'
+      })),
+      ...posts.filter(post => post.slug).map(post => ({
+        loc: `${base}/posts/${post.slug}`,
+        lastmod: post.updatedAt || post.createdAt,
+        priority: '0.6'
+      }))
+    ];
+
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Cache-Control': `public, max-age=${FEED_CACHE_SECONDS}`
+    });
+    res.send(buildSitemap(urls));
+  } catch (error) {
+    console.error('Error building sitemap:', error);
+    res.status(500).type('text/plain').send('Error building sitemap');
+  }
+});
+
+app.get('/robots.txt', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.type('text/plain').send(buildRobots(siteUrl(req)));
+});
+
 // Handle 404 for API routes
 app.use('/api/*', (req, res) => {
   res.status(404).json({
     success: false,
     message: 'API endpoint not found',
     availableEndpoints: [
+      'POST /api/auth/register',
+      'POST /api/auth/login',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'GET /api/auth/me',
+      'GET /api/users',
+      'PATCH /api/users/:id/role',
       'GET /api/posts',
+      'GET /api/posts/trending',
+      'GET /api/posts/trash',
+      'POST /api/posts/:id/restore',
+      'GET /api/posts/by-slug/:slug',
       'GET /api/posts/:id',
+      'POST /api/posts/:id/view',
+      'GET /api/posts/:id/analytics',
       'POST /api/posts',
+      'POST /api/posts/bulk',
+      'POST /api/posts/batch',
+      'POST /api/posts/preview',
       'PUT /api/posts/:id',
       'DELETE /api/posts/:id',
+      'GET /api/posts/:id/revisions',
+      'GET /api/posts/:id/revisions/diff',
+      'GET /api/posts/:id/revisions/:rev',
+      'POST /api/posts/:id/revisions/:rev/restore',
       'POST /api/posts/:id/like',
       'POST /api/posts/:id/unlike',
+      'GET /api/posts/:id/comments',
+      'POST /api/posts/:id/comments',
+      'GET /api/comments',
+      'POST /api/comments/:id/approve',
+      'POST /api/comments/:id/reject',
+      'POST /api/comments/:id/spam',
       'GET /api/categories',
+      'POST /api/categories',
+      'PUT /api/categories/:slug',
+      'DELETE /api/categories/:slug',
+      'GET /api/tags',
+      'GET /api/posts/:id/calendar.ics',
+      'POST /api/newsletter/subscribe',
+      'GET /api/newsletter/confirm',
+      'GET /api/newsletter/unsubscribe',
+      'POST /api/newsletter/unsubscribe',
+      'GET /api/newsletter/preferences',
+      'PUT /api/newsletter/preferences',
+      'GET /api/newsletter/digest/preview',
+      'POST /api/newsletter/digest/send',
+      'GET /api/push/public-key',
+      'POST /api/push/subscribe',
+      'POST /api/push/unsubscribe',
+      'GET /api/feed-sources',
+      'POST /api/feed-sources',
+      'POST /api/feed-sources/test',
+      'GET /api/feed-sources/logs',
+      'PUT /api/feed-sources/:id',
+      'POST /api/feed-sources/:id/enable',
+      'POST /api/feed-sources/:id/disable',
+      'POST /api/feed-sources/:id/test',
+      'POST /api/feed-sources/:id/fetch',
+      'DELETE /api/feed-sources/:id',
       'GET /api/stats',
+      'GET /api/stats/analytics',
       'GET /api/health'
     ]
   });
@@ -666,6 +5143,97 @@ app.use('/api/*', (req, res) => {
 
 // --- Serve Frontend for all other routes (SPA support) ---
 if (frontendExists) {
+  // The built index.html, re-read whenever a new build replaces it
+  let shellCache = { mtimeMs: 0, html: '' };
+  const readShell = () => {
+    const shellPath = path.join(frontendPath, 'index.html');
+    const { mtimeMs } = fs.statSync(shellPath);
+    if (mtimeMs !== shellCache.mtimeMs) {
+      shellCache = { mtimeMs, html: fs.readFileSync(shellPath, 'utf8') };
+    }
+    return shellCache.html;
+  };
+
+  // Permalinks: renamed posts get a permanent redirect so shared links keep working,
+  // and published posts get their own title, description and social tags
+  app.get('/posts/:slug', async (req, res, next) => {
+    try {
+      const slug = req.params.slug.toLowerCase();
+      const post = await Post.findOne({ slug }).lean();
+
+      if (!post) {
+        // Unpublished posts stay hidden: redirecting would reveal their current slug
+        const renamed = await Post.findOne({ previousSlugs: slug }).select('slug isActive status');
+        if (isPublished(renamed)) return res.redirect(301, `/posts/${renamed.slug}`);
+        return next();
+      }
+
+      if (!isPublished(post)) return next();
+
+      const base = siteUrl(req);
+      const url = postPermalink(base, post);
+      const text = stripHtml(post.content);
+      const description = text.length > 160 ? text.substring(0, 157) + '...' : text;
+      const image = post.mediaType?.startsWith('image/') ? mediaEnclosure(base, post).url : null;
+
+      res.send(renderShell(readShell(), {
+        title: `${post.title} | ${SITE_NAME}`,
+        description,
+        url,
+        image,
+        type: 'article',
+        siteName: SITE_NAME,
+        section: post.category,
+        publishedTime: (post.publishedAt || post.createdAt).toISOString(),
+        jsonLd: [
+          (post.category === 'job notification' || post.job?.applicationEnd) &&
+            buildJobPosting({ post, url, siteName: SITE_NAME, description, country: JOB_COUNTRY })
+        ].filter(Boolean)
+      }));
+    } catch (error) {
+      console.warn('Could not render post metadata:', error.message);
+      next(); // Fall through to the plain SPA shell below
+    }
+  });
+
+  // Category landing pages, e.g. /category/admit-card
+  app.get('/category/:category', async (req, res, next) => {
+    try {
+      const category = await findCategory(req.params.category);
+      if (!category) return next();
+      const base = siteUrl(req);
+
+      res.send(renderShell(readShell(), {
+        title: `${category.label} | ${SITE_NAME}`,
+        description: `Latest ${category.label.toLowerCase()} updates from ${SITE_NAME}.`,
+        url: `${base}/category/${category.slug}`,
+        siteName: SITE_NAME
+      }));
+    } catch (error) {
+      console.warn('Could not render category metadata:', error.message);
+      next();
+    }
+  });
+
+  // Tag pages, e.g. /tag/ssc
+  app.get('/tag/:tag', (req, res, next) => {
+    try {
+      const tag = normalizeTag(req.params.tag);
+      if (!tag) return next();
+      const base = siteUrl(req);
+
+      res.send(renderShell(readShell(), {
+        title: `#${tag} | ${SITE_NAME}`,
+        description: `Posts tagged ${tag} on ${SITE_NAME}.`,
+        url: `${base}/tag/${tag}`,
+        siteName: SITE_NAME
+      }));
+    } catch (error) {
+      console.warn('Could not render tag metadata:', error.message);
+      next();
+    }
+  });
+
   app.get('*', (req, res) => {
     // Don't serve index.html for API routes or file extensions
     if (req.originalUrl.startsWith('/api/') || req.originalUrl.includes('.')) {
@@ -706,9 +5274,163 @@ if (frontendExists) {
 // Apply error handling middleware
 app.use(errorHandler);
 
+// --- Scheduled Publishing ---
+// Schedules live in MongoDB, so posts that fall due while the server is down go out on the next run
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+let schedulerTimer = null;
+
+const publishDuePosts = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    const due = await Post.find({ status: 'scheduled', publishAt: { $lte: new Date() } }).select('_id');
+
+    for (const { _id } of due) {
+      // Conditional update so only one instance publishes a given post
+      const post = await Post.findOneAndUpdate(
+        { _id, status: 'scheduled' },
+        [{ $set: { status: 'published', publishedAt: '$publishAt', updatedAt: '$$NOW' } }],
+        { new: true }
+      );
+      if (post) {
+        console.log(`📣 Published scheduled post "${post.title}"`);
+        await notifyNewPost(post).catch(error => console.error('Error sending push notifications:', error.message));
+      }
+    }
+  } catch (error) {
+    console.error('Error publishing scheduled posts:', error.message);
+  }
+};
+
+// Published job posts are archived this many days after their last date; unset keeps them (they show as expired)
+const JOB_ARCHIVE_AFTER_DAYS = process.env.JOB_ARCHIVE_AFTER_DAYS === undefined || process.env.JOB_ARCHIVE_AFTER_DAYS === ''
+  ? null
+  : Math.max(0, parseInt(process.env.JOB_ARCHIVE_AFTER_DAYS) || 0);
+
+const archiveExpiredJobs = async () => {
+  if (mongoose.connection.readyState !== 1 || JOB_ARCHIVE_AFTER_DAYS === null) return;
+
+  try {
+    const cutoff = new Date(Date.now() - JOB_ARCHIVE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+    const result = await Post.updateMany(
+      { status: { $in: ['published', null] }, 'job.applicationEnd': { $lt: cutoff } },
+      { $set: { status: 'archived', updatedAt: new Date() } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`🗄️  Archived ${result.modifiedCount} expired job posts`);
+    }
+  } catch (error) {
+    console.error('Error archiving expired job posts:', error.message);
+  }
+};
+
+let scheduledTasksRunning = false;
+
+const runScheduledTasks = async () => {
+  // Feed polling and digests can outlast the interval; the next tick waits for this run instead of overlapping it
+  if (scheduledTasksRunning) return;
+  scheduledTasksRunning = true;
+
+  try {
+    await publishDuePosts();
+    await archiveExpiredJobs();
+    await purgeTrash();
+    try {
+      await sendDueDigests();
+    } catch (error) {
+      console.error('Error sending newsletter digests:', error.message);
+    }
+    await refreshTrendingScores();
+    try {
+      await pollDueFeedSources();
+    } catch (error) {
+      console.error('Error polling feed sources:', error.message);
+    }
+  } finally {
+    scheduledTasksRunning = false;
+  }
+};
+
+const startScheduler = () => {
+  if (schedulerTimer) return;
+  runScheduledTasks();
+  schedulerTimer = setInterval(runScheduledTasks, SCHEDULER_INTERVAL_MS);
+};
+
+// Background jobs belong to the running server, not to tests that load the app
+if (require.main === module) mongoose.connection.on('connected', startScheduler);
+
+// --- Slug Backfill ---
+// Posts created before slugs existed get one the first time the server connects
+const backfillPostSlugs = async () => {
+  try {
+    const posts = await Post.find({ slug: { $exists: false } });
+    for (const post of posts) {
+      await post.save({ validateBeforeSave: false });
+    }
+    if (posts.length > 0) console.log(`🔗 Generated slugs for ${posts.length} posts`);
+  } catch (error) {
+    console.error('Error backfilling slugs:', error.message);
+  }
+};
+
+mongoose.connection.once('connected', backfillPostSlugs);
+
+// --- Trash Date Backfill ---
+// Posts deactivated before deletedAt existed start their retention period now rather than from their
+// last edit, so upgrading never purges a post the day it lands in the trash listing
+const backfillTrashDates = async () => {
+  try {
+    const result = await Post.updateMany(
+      { isActive: false, deletedAt: null },
+      { $set: { deletedAt: new Date() } },
+      { timestamps: false }
+    );
+    if (result.modifiedCount > 0) console.log(`🗑️  Started the trash period for ${result.modifiedCount} deactivated posts`);
+  } catch (error) {
+    console.error('Error backfilling trash dates:', error.message);
+  }
+};
+
+mongoose.connection.once('connected', backfillTrashDates);
+
+// --- Image Variant Backfill ---
+// Variants still missing at startup (the server stopped while they were queued) are queued again
+const queueMissingVariants = async () => {
+  try {
+    const posts = await Post.find({ mediaUrl: /^\/uploads\//, 'mediaImage.variants': { $size: 0 } })
+      .select('mediaUrl mediaImage')
+      .lean();
+    posts.forEach(queueImageVariants);
+    if (posts.length > 0) console.log(`🖼️  Queued image variants for ${posts.length} posts`);
+  } catch (error) {
+    console.error('Error queueing image variants:', error.message);
+  }
+};
+
+mongoose.connection.once('connected', queueMissingVariants);
+
+// --- Category Seeding ---
+// A fresh database starts with the default categories; after that admins own the list
+const seedCategories = async () => {
+  try {
+    if (await Category.estimatedDocumentCount() > 0) return;
+    await Category.insertMany(DEFAULT_CATEGORIES.map(category => ({
+      ...category,
+      slug: categorySlug(category.name)
+    })));
+    console.log(`🏷️  Seeded ${DEFAULT_CATEGORIES.length} default categories`);
+  } catch (error) {
+    console.error('Error seeding categories:', error.message);
+  }
+};
+
+mongoose.connection.once('connected', seedCategories);
+
 // --- Graceful Shutdown ---
 const gracefulShutdown = async (signal) => {
   console.log(`${signal} received. Shutting down gracefully...`);
+  clearInterval(schedulerTimer);
   
   try {
     await mongoose.connection.close();
@@ -739,34 +5461,36 @@ process.on('uncaughtException', (error) => {
 });
 
 // --- Start The Server ---
-const PORT = process.env.PORT || 5000;
-const server = app.listen(PORT, () => {
-  console.log('='.repeat(50));
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🗄️  Database: ${mongoose.connection.readyState === 1 ? 'Connected' : 'Connecting...'}`);
-  console.log(`📂 Uploads: ${fs.existsSync(uploadsDir) ? 'Ready' : 'Not Found'}`);
-  console.log(`🌐 Frontend: ${frontendExists ? 'Served' : 'Build Not Found'}`);
-  console.log('='.repeat(50));
-  
-  if (!frontendExists) {
-    console.log('💡 To serve frontend:');
-    console.log('   1. cd frontend');
-    console.log('   2. npm run build');
-    console.log('   3. Restart server');
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+  const server = app.listen(PORT, () => {
     console.log('='.repeat(50));
-  }
-});
+    console.log(`🚀 Server running on http://localhost:${PORT}`);
+    console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🗄️  Database: ${mongoose.connection.readyState === 1 ? 'Connected' : 'Connecting...'}`);
+    console.log(`📂 Uploads: ${fs.existsSync(uploadsDir) ? 'Ready' : 'Not Found'}`);
+    console.log(`🌐 Frontend: ${frontendExists ? 'Served' : 'Build Not Found'}`);
+    console.log('='.repeat(50));
+  
+    if (!frontendExists) {
+      console.log('💡 To serve frontend:');
+      console.log('   1. cd frontend');
+      console.log('   2. npm run build');
+      console.log('   3. Restart server');
+      console.log('='.repeat(50));
+    }
+  });
 
-// Handle server errors
-server.on('error', (error) => {
-  if (error.code === 'EADDRINUSE') {
-    console.error(`❌ Port ${PORT} is already in use`);
-    console.log('💡 Try a different port: PORT=3001 npm start');
-  } else {
-    console.error('❌ Server error:', error);
-  }
-  process.exit(1);
-});
+  // Handle server errors
+  server.on('error', (error) => {
+    if (error.code === 'EADDRINUSE') {
+      console.error(`❌ Port ${PORT} is already in use`);
+      console.log('💡 Try a different port: PORT=3001 npm start');
+    } else {
+      console.error('❌ Server error:', error);
+    }
+    process.exit(1);
+  });
+}
 
 module.exports = app; // Export for testing
\ No newline at end of file
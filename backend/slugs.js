@@ -0,0 +1,27 @@
+// --- Slugs ---
+// Post URLs use a slug of the title: "Junior Assistant Recruitment 2026" becomes junior-assistant-recruitment-2026
+const SLUG_MAX_LENGTH = 80;
+
+const slugify = (text) => (text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, SLUG_MAX_LENGTH)
+  .replace(/-+$/, '') || 'post';
+
+// True when slug is base or a numbered variant of it ("result-2"); a retitled post whose title still
+// maps to the same base keeps its slug
+const isSlugFor = (slug, base) => new RegExp(`^${base}(-\\d+)?$`).test(slug);
+
+// First of base, base-2, base-3… that isTaken(slug) (async) reports free
+const uniqueSlug = async (base, isTaken) => {
+  let candidate = base;
+  for (let n = 2; await isTaken(candidate); n++) {
+    candidate = `${base}-${n}`;
+  }
+  return candidate;
+};
+
+module.exports = { slugify, isSlugFor, uniqueSlug };
@@ -0,0 +1,21 @@
+// --- Tags ---
+// Tags are free-form but stored normalized: "Andhra Pradesh" and "andhra-pradesh" are the same tag
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const normalizeTag = (value) => String(value ?? '')
+  .trim()
+  .toLowerCase()
+  .replace(/[\s_]+/g, '-')
+  .replace(/[^a-z0-9-]/g, '')
+  .replace(/-{2,}/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_TAG_LENGTH);
+
+// Accepts an array or a comma-separated string (multipart forms send the latter)
+const normalizeTags = (input) => {
+  const values = Array.isArray(input) ? input : String(input ?? '').split(',');
+  return [...new Set(values.map(normalizeTag).filter(Boolean))];
+};
+
+module.exports = { MAX_TAGS, normalizeTag, normalizeTags };
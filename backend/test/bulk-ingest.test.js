@@ -0,0 +1,83 @@
+// Needs a disposable MongoDB: MONGO_TEST_URI=mongodb://127.0.0.1:27017/blog-test npm test
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const MONGO_TEST_URI = process.env.MONGO_TEST_URI;
+const API_KEY = 'bulk-ingest-test-key';
+const skip = !MONGO_TEST_URI && 'MONGO_TEST_URI is not set';
+
+let server;
+let base;
+
+const ingest = async (posts) => {
+  const response = await fetch(`${base}/api/posts/bulk`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-api-key': API_KEY },
+    body: JSON.stringify({ source: 'bulk-test', posts })
+  });
+  return response.json();
+};
+
+const findPost = (externalId) => mongoose.model('Post').findOne({ source: 'bulk-test', externalId });
+
+before(async () => {
+  if (skip) return;
+  process.env.API_SECRET_KEY = API_KEY;
+  const app = require('../server');
+  await mongoose.connect(MONGO_TEST_URI);
+  await mongoose.connection.dropDatabase();
+  await mongoose.model('Category').create({ name: 'result', label: 'Results' });
+  server = app.listen(0);
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  if (skip) return;
+  server.close();
+  const posts = await mongoose.model('Post').find({ source: 'bulk-test' });
+  posts.forEach(post => fs.rmSync(path.join(__dirname, '..', post.mediaUrl || 'uploads/none'), { force: true }));
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+});
+
+const item = {
+  externalId: 'exam-1',
+  title: 'Exam result',
+  content: '<p>Results are out.</p>',
+  category: 'result',
+  media: { data: Buffer.from('%PDF-1.4 result').toString('base64'), type: 'application/pdf', filename: 'result.pdf' }
+};
+
+test('reports created, unchanged and updated for re-sent items', { skip }, async () => {
+  const created = await ingest([item]);
+  assert.deepStrictEqual(created.summary, { created: 1, updated: 0, unchanged: 0, failed: 0 });
+
+  const resent = await ingest([item]);
+  assert.deepStrictEqual(resent.summary, { created: 0, updated: 0, unchanged: 1, failed: 0 });
+  assert.strictEqual(resent.data[0].id, created.data[0].id);
+
+  const { mediaUrl } = await findPost('exam-1');
+  const changed = await ingest([{ ...item, title: 'Exam result (revised)' }]);
+  assert.deepStrictEqual(changed.summary, { created: 0, updated: 1, unchanged: 0, failed: 0 });
+
+  const post = await findPost('exam-1');
+  assert.strictEqual(post.title, 'Exam result (revised)');
+  assert.strictEqual(post.mediaUrl, mediaUrl, 'the same media is not stored again');
+  assert.strictEqual(await mongoose.model('Post').countDocuments({ source: 'bulk-test' }), 1);
+});
+
+test('refuses media URLs that point at private addresses', { skip }, async () => {
+  const result = await ingest([{ ...item, externalId: 'exam-2', media: { url: 'http://169.254.169.254/latest/meta-data' } }]);
+  assert.strictEqual(result.data[0].result, 'failed');
+  assert.match(result.data[0].error, /not a public address/);
+  assert.strictEqual(await findPost('exam-2'), null);
+});
+
+test('fails items whose text fields are not strings', { skip }, async () => {
+  const result = await ingest([{ ...item, externalId: 'exam-3', title: 5 }]);
+  assert.strictEqual(result.data[0].result, 'failed');
+  assert.strictEqual(result.data[0].error, 'title must be a string');
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { renderPostContent } = require('../content');
+
+test('renders Markdown to HTML', () => {
+  const { html, removed } = renderPostContent('markdown', '# Result\n\nLine one\nline **two**\n\n- [Apply](https://example.com)');
+  assert.match(html, /<h1>Result<\/h1>/);
+  assert.match(html, /<p>Line one<br \/>\s*line <strong>two<\/strong><\/p>/);
+  assert.match(html, /<li><a href="https:\/\/example.com">Apply<\/a><\/li>/);
+  assert.deepStrictEqual(removed, []);
+});
+
+test('sanitizes HTML embedded in Markdown with the same policy as HTML posts', () => {
+  const markdown = renderPostContent('markdown', 'Hello <script>alert(1)</script>\n\n[x](javascript:alert(1))');
+  const html = renderPostContent('html', '<p>Hello <script>alert(1)</script></p><p><a href="javascript:alert(1)">x</a></p>');
+
+  for (const { html: output, removed } of [markdown, html]) {
+    assert.doesNotMatch(output, /script|javascript:/);
+    assert.ok(removed.some(entry => entry.element === 'script'));
+  }
+});
+
+test('leaves HTML content as HTML', () => {
+  assert.strictEqual(renderPostContent('html', '<p># not a heading</p>').html, '<p># not a heading</p>');
+});
+
+test('treats missing Markdown source as empty', () => {
+  assert.strictEqual(renderPostContent('markdown', undefined).html, '');
+});
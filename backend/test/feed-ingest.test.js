@@ -0,0 +1,98 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const mongoose = require('mongoose');
+const { parseFeedRules, feedItems, ingestFeedItems } = require('../feed-ingest');
+
+const MONGO_TEST_URI = process.env.MONGO_TEST_URI;
+const API_KEY = 'feed-ingest-test-key';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'feeds', name), 'utf8');
+const { rules } = parseFeedRules({ category: 'job notification', titleRewrites: [{ pattern: '^NOTIFICATION:\\s*' }] });
+
+// Stands in for the FeedEntry collection: a GUID is claimed once per source, like its unique index
+const createIngester = () => {
+  const claimed = new Set();
+  return (item) => {
+    if (claimed.has(item.externalId)) return { result: 'skipped' };
+    claimed.add(item.externalId);
+    return { result: 'created' };
+  };
+};
+
+for (const [name, unique] of [['jobs-rss.xml', 2], ['exams-atom.xml', 2]]) {
+  test(`${name}: a second fetch imports nothing`, async () => {
+    const { items } = await feedItems(fixture(name), rules, 'Fixture');
+    const ingestEntry = createIngester();
+
+    const first = await ingestFeedItems(items, ingestEntry);
+    assert.deepStrictEqual(first, { created: unique, skipped: items.length - unique, failed: 0, itemErrors: [] });
+
+    const second = await ingestFeedItems(items, ingestEntry);
+    assert.deepStrictEqual(second, { created: 0, skipped: items.length, failed: 0, itemErrors: [] });
+  });
+}
+
+test('maps entries oldest first with the source rules applied', async () => {
+  const { title, items } = await feedItems(fixture('jobs-rss.xml'), rules, 'Fixture');
+  assert.strictEqual(title, 'Sample Recruitment Board');
+  assert.strictEqual(items[0].externalId, 'rb-2026-0142');
+  assert.strictEqual(items[0].title, 'Junior Assistant Recruitment 2026 - Apply Online');
+  assert.strictEqual(items[0].category, 'job notification');
+  assert.strictEqual(items[0].status, 'draft');
+});
+
+test('reports failed entries so they can be retried', async () => {
+  const { items } = await feedItems(fixture('jobs-rss.xml'), rules, 'Fixture');
+  const counts = await ingestFeedItems(items, () => ({ result: 'failed', error: 'Unknown category' }));
+  assert.strictEqual(counts.failed, items.length);
+  assert.deepStrictEqual(counts.itemErrors[0], {
+    guid: 'rb-2026-0142',
+    title: 'Junior Assistant Recruitment 2026 - Apply Online',
+    message: 'Unknown category'
+  });
+});
+
+test('rejects XML that is not a feed', async () => {
+  await assert.rejects(feedItems('<html>', rules, 'Fixture'), /Could not parse feed/);
+});
+
+// Needs a disposable MongoDB: MONGO_TEST_URI=mongodb://127.0.0.1:27017/blog-test npm test
+test('fetching a source twice imports each entry once', { skip: !MONGO_TEST_URI && 'MONGO_TEST_URI is not set' }, async () => {
+  Object.assign(process.env, { API_SECRET_KEY: API_KEY, API_KEY_ROLE: 'admin', FEED_ALLOW_FILE_URLS: 'true' });
+  const app = require('../server');
+  await mongoose.connect(MONGO_TEST_URI);
+  await mongoose.connection.dropDatabase();
+  await mongoose.model('Category').create({ name: 'job notification', label: 'Jobs' });
+  const server = app.listen(0);
+  after(async () => {
+    server.close();
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  const request = async (method, url, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': API_KEY },
+      body: body && JSON.stringify(body)
+    });
+    return response.json();
+  };
+
+  const { data: source } = await request('POST', '/api/feed-sources', {
+    name: 'Fixture jobs',
+    url: pathToFileURL(path.join(__dirname, '..', 'fixtures', 'feeds', 'jobs-rss.xml')).href,
+    enabled: false,
+    rules
+  });
+
+  const first = await request('POST', `/api/feed-sources/${source._id}/fetch`);
+  assert.deepStrictEqual([first.data.created, first.data.skipped, first.data.failed], [2, 1, 0]);
+
+  const second = await request('POST', `/api/feed-sources/${source._id}/fetch`);
+  assert.deepStrictEqual([second.data.created, second.data.skipped, second.data.failed], [0, 3, 0]);
+  assert.strictEqual(await mongoose.model('Post').countDocuments({ source: `feed:${source.key}` }), 2);
+});
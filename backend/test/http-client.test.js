@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { fetchUrl, isPrivateAddress } = require('../http-client');
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/redirect') {
+      res.writeHead(302, { location: '/file' });
+      return res.end();
+    }
+    if (req.url === '/large') {
+      res.writeHead(200, { 'content-type': 'application/octet-stream' });
+      res.write(Buffer.alloc(1024));
+      return res.end(Buffer.alloc(1024));
+    }
+    res.writeHead(200, { 'content-type': 'text/plain' });
+    res.end('hello');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('classifies private and public addresses', () => {
+  ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'not-an-ip'].forEach(address =>
+    assert.strictEqual(isPrivateAddress(address), true, address));
+  ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'].forEach(address =>
+    assert.strictEqual(isPrivateAddress(address), false, address));
+});
+
+test('follows redirects and returns the final URL', async () => {
+  const response = await fetchUrl(`${base}/redirect`, { maxBytes: 1024, timeoutMs: 5000 });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.toString(), 'hello');
+  assert.strictEqual(response.url, `${base}/file`);
+});
+
+test('stops reading past the byte cap', async () => {
+  await assert.rejects(fetchUrl(`${base}/large`, { maxBytes: 1500, timeoutMs: 5000 }), { code: 'ETOOLARGE' });
+});
+
+test('refuses private addresses when publicOnly is set', async () => {
+  await assert.rejects(fetchUrl(`${base}/file`, { publicOnly: true, maxBytes: 1024, timeoutMs: 5000 }),
+    { code: 'EPRIVATEADDRESS' });
+  await assert.rejects(fetchUrl(`http://localhost:${server.address().port}/file`, { publicOnly: true, maxBytes: 1024, timeoutMs: 5000 }),
+    { code: 'EPRIVATEADDRESS' });
+  await assert.rejects(fetchUrl('http://[::1]/', { publicOnly: true, maxBytes: 1024, timeoutMs: 5000 }),
+    { code: 'EPRIVATEADDRESS' });
+});
+
+test('rejects non-http protocols', async () => {
+  await assert.rejects(fetchUrl('file:///etc/passwd', { maxBytes: 1024, timeoutMs: 5000 }), /http\(s\)/);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseJob, parseDuration, deadlineFilter } = require('../jobs');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('parseDuration reads hours, days and weeks', () => {
+  assert.strictEqual(parseDuration('12h'), 12 * 60 * 60 * 1000);
+  assert.strictEqual(parseDuration('7d'), 7 * DAY_MS);
+  assert.strictEqual(parseDuration(' 2w '), 14 * DAY_MS);
+  ['7', 'd', '7 days', '-1d', '', undefined].forEach(value => assert.strictEqual(parseDuration(value), null, value));
+});
+
+test('deadlineFilter adds nothing without open or closingWithin', () => {
+  assert.deepStrictEqual(deadlineFilter({ open: false, closingWithin: null }, now), { filter: {} });
+});
+
+test('closingWithin matches deadlines between now and the end of the window', () => {
+  assert.deepStrictEqual(deadlineFilter({ open: false, closingWithin: '7d' }, now), {
+    filter: { 'job.applicationEnd': { $gte: now, $lte: new Date(now.getTime() + 7 * DAY_MS) } }
+  });
+});
+
+test('open matches future deadlines whose application period has started', () => {
+  assert.deepStrictEqual(deadlineFilter({ open: true, closingWithin: null }, now), {
+    filter: {
+      'job.applicationEnd': { $gte: now },
+      $or: [{ 'job.applicationStart': null }, { 'job.applicationStart': { $lte: now } }]
+    }
+  });
+});
+
+test('an invalid closingWithin is an error', () => {
+  assert.deepStrictEqual(deadlineFilter({ open: true, closingWithin: 'soon' }, now), {
+    error: 'closingWithin must be a duration such as 12h, 7d or 2w'
+  });
+});
+
+test('parseJob keeps known fields and converts dates and vacancies', () => {
+  const { job } = parseJob({
+    organization: ' Staff Selection Commission ',
+    vacancies: '240',
+    applicationStart: '2026-10-01',
+    applicationEnd: '2026-11-10',
+    unknown: 'ignored'
+  });
+  assert.strictEqual(job.organization, 'Staff Selection Commission');
+  assert.strictEqual(job.vacancies, 240);
+  assert.strictEqual(job.unknown, undefined);
+  // A date-only last date stays open until the end of that day
+  assert.deepStrictEqual(job.applicationStart, new Date('2026-10-01T00:00:00'));
+  assert.deepStrictEqual(job.applicationEnd, new Date('2026-11-10T23:59:59.999'));
+});
+
+test('parseJob accepts JSON strings from multipart forms and clears on empty input', () => {
+  assert.deepStrictEqual(parseJob('{"fee":"Rs 100"}'), { job: { fee: 'Rs 100' } });
+  assert.deepStrictEqual(parseJob(''), { job: null });
+  assert.deepStrictEqual(parseJob(null), { job: null });
+  assert.deepStrictEqual(parseJob({ organization: '' }), { job: null });
+});
+
+test('parseJob rejects malformed input', () => {
+  assert.deepStrictEqual(parseJob('{not json'), { error: 'Job details must be a JSON object' });
+  assert.deepStrictEqual(parseJob([]), { error: 'Job details must be a JSON object' });
+  assert.deepStrictEqual(parseJob({ applicationEnd: 'someday' }), { error: 'Job applicationEnd is not a valid date' });
+  assert.deepStrictEqual(parseJob({ vacancies: 2.5 }), { error: 'Job vacancies must be a whole number' });
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { slugify, isSlugFor, uniqueSlug } = require('../slugs');
+
+test('slugify lowercases, strips accents and collapses punctuation', () => {
+  assert.strictEqual(slugify('SSC CGL 2026: Admit Card Released!'), 'ssc-cgl-2026-admit-card-released');
+  assert.strictEqual(slugify('  Café Résumé  '), 'cafe-resume');
+  assert.strictEqual(slugify('--Result -- Out--'), 'result-out');
+});
+
+test('slugify caps the length without a trailing dash', () => {
+  const slug = slugify(`${'a'.repeat(79)} b`);
+  assert.strictEqual(slug, 'a'.repeat(79));
+  assert.ok(slugify('word '.repeat(40)).length <= 80);
+});
+
+test('slugify falls back to "post" when nothing is left', () => {
+  assert.strictEqual(slugify('!!!'), 'post');
+  assert.strictEqual(slugify(''), 'post');
+  assert.strictEqual(slugify(undefined), 'post');
+});
+
+test('isSlugFor accepts the base and its numbered variants only', () => {
+  assert.strictEqual(isSlugFor('result', 'result'), true);
+  assert.strictEqual(isSlugFor('result-3', 'result'), true);
+  assert.strictEqual(isSlugFor('result-out', 'result'), false);
+  assert.strictEqual(isSlugFor('old-result', 'result'), false);
+});
+
+test('uniqueSlug numbers taken slugs from 2', async () => {
+  const taken = new Set(['result', 'result-2']);
+  assert.strictEqual(await uniqueSlug('result', async slug => taken.has(slug)), 'result-3');
+  assert.strictEqual(await uniqueSlug('admit-card', async slug => taken.has(slug)), 'admit-card');
+});
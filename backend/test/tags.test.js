@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeTag, normalizeTags } = require('../tags');
+
+test('normalizeTag folds case, spaces and underscores into dashes', () => {
+  assert.strictEqual(normalizeTag('Andhra Pradesh'), 'andhra-pradesh');
+  assert.strictEqual(normalizeTag('  andhra_pradesh '), 'andhra-pradesh');
+  assert.strictEqual(normalizeTag('UPSC'), 'upsc');
+});
+
+test('normalizeTag drops other characters and stray dashes', () => {
+  assert.strictEqual(normalizeTag('B.Tech / M.Tech'), 'btech-mtech');
+  assert.strictEqual(normalizeTag('--10th -- pass--'), '10th-pass');
+  assert.strictEqual(normalizeTag('#$%'), '');
+  assert.strictEqual(normalizeTag(null), '');
+});
+
+test('normalizeTag caps tags at 30 characters', () => {
+  assert.strictEqual(normalizeTag('x'.repeat(50)).length, 30);
+});
+
+test('normalizeTags accepts arrays and comma-separated strings', () => {
+  assert.deepStrictEqual(normalizeTags(['SSC', 'Railway Jobs']), ['ssc', 'railway-jobs']);
+  assert.deepStrictEqual(normalizeTags('SSC, railway jobs ,'), ['ssc', 'railway-jobs']);
+});
+
+test('normalizeTags removes duplicates and empty tags', () => {
+  assert.deepStrictEqual(normalizeTags(['Andhra Pradesh', 'andhra-pradesh', '!!', '']), ['andhra-pradesh']);
+  assert.deepStrictEqual(normalizeTags(undefined), []);
+  assert.deepStrictEqual(normalizeTags(''), []);
+});